@@ -1,4 +1,4 @@
-import { Scene, Camera, Rfx, ReduxEngine, Entity, UI } from "./redux.js";
+import { AnimationController, Scene, Camera, ReduxEngine, Entity, UI } from "./redux.js";
 
  
 class StartMenuScene extends Scene {
@@ -6,8 +6,9 @@ class StartMenuScene extends Scene {
       super(engine);
       let div = document.createElement("div");
   
+      this.manifest.html = ["./views/view.html"];
       this.startui = new UI(100, 100, 200, 50, null, "startui");
-      this.startui.require("./views/view.html");
+      this.startui.require("./views/view.html", this.engine.assets);
     }
   
     // Define the custom start logic for the StartMenuScene
@@ -43,12 +44,22 @@ class GameScene extends Scene {
       this.entities.push(this.dummy);
       this.entities.push(this.player);
       this.v = 0;
+      this.speed = 300; // pixels per second
+      this.jumping = false;
+      this.hop = { height: 0 }; // Tweened while jumping, drawn on top of the player's position on the ground
+      this.groundY = this.player.y;
       this.score = new UI(100, 200, 200, 50, ``, "score");
+      new AnimationController(this.player, {
+        parameters: { speed: 0 },
+        states: { inPlace: `texture('https://picsum.photos/200/300')` },
+        initial: null,
+        transitions: [{ from: "*", to: "inPlace", when: { speed: [">", 0] } }],
+      });
+      // Arrow keys and the left stick move the player
+      this.engine.input.bind("moveX", [{ negative: "ArrowLeft", positive: "ArrowRight" }, "gamepad0_axis0"]);
+      this.engine.input.bind("moveY", [{ negative: "ArrowUp", positive: "ArrowDown" }, "gamepad0_axis1"]);
       const camera = new Camera(this.engine.container, "white");
       camera.follow(this.player);
-      this.rfx = new Rfx(this.player, 0);
-      this.rfx.setGravityDirection("down");
-      
   
       // Set the camera for the game
       this.engine.setCamera(camera);
@@ -57,9 +68,23 @@ class GameScene extends Scene {
     // Define the custom start logic for the GameScene
     startLogic() {
       console.log("GameScene: Scene-specific logic here.");
+      this.hop.height = 0;
     }
-    updateCallback(entities) {
-      console.log(entities);
+  
+    update(dt) {
+      const move = this.engine.input.vector("moveX", "moveY");
+      // Keep the player inside the window
+      const newX = Math.min(Math.max(this.player.x + move.x * this.speed * dt, 0), this.engine.window().clientWidth - this.player.width);
+      const newY = Math.min(Math.max(this.groundY + move.y * this.speed * dt, 0), this.engine.window().clientHeight - this.player.height);
+      this.groundY = newY;
+      this.player.setPosition(newX, newY - this.hop.height);
+      if (move.x > 0) {
+        this.score.updateContent(`${this.v++}`);
+      }
+  
+      // How far the player moved this tick
+      const distance = Math.hypot(this.player.x - this.player.prevX, this.player.y - this.player.prevY);
+      this.player.animator.set("speed", distance / dt);
     }
   
     uiLogic() {
@@ -68,91 +93,22 @@ class GameScene extends Scene {
   
     // Define custom input setup for the GameScene
     inputHandler() {
-      this.player.addAnimationState(
-        "inPlace",
-        `texture('https://picsum.photos/200/300')`
-      );
-      this.addCustomInput(
-        "ArrowRight",
-        () => {
-          // Calculate the new position
-          const newX = this.player.x + 5;
-  
-          // Check for collision with the right window boundary
-          if (newX + this.player.width <= this.engine.window().clientWidth) {
-            this.player.setPosition(newX, this.player.y);
-  
-            if (this.player.animationState !== "inPlace") {
-              this.player.changeState("inPlace");
-            }
-          }
-          this.score.updateContent(`${this.v++}`);
-        },
-        () => {
-          // Cleanup input when the key is released
-          this.cleanupInputs();
-        }
-      );
-  
-      this.addCustomInput(
-        "gamepad0_axis",
-        () => {
-          let e = this.engine.inputState.gamepad[0].axis[0];
-  
-          if (e > 0.5) {
-            const newX = this.player.x + 5;
-  
-            // Check for collision with the right window boundary
-            if (newX + this.player.width <= this.engine.window().clientWidth) {
-              this.player.setPosition(newX, this.player.y);
-  
-              if (this.player.animationState !== "inPlace") {
-                this.player.changeState("inPlace");
-              }
-            }
-          } else if (e < -0.5) {
-            // Calculate the new position
-            const newX = this.player.x - 5;
-  
-            // Check for collision with the left window boundary
-            if (newX >= 0) {
-              this.player.setPosition(newX, this.player.y);
-            }
-          }
-        },
-        () => {}
-      );
-  
       this.addCustomInput(
-          ' ', () => {
-             if(this.player.animationState !== 'inPlace') {
-              this.player.changeState('inPlace');
-             }
-             // make the player jump
-             if(this.player.y === 0) {
-              this.player.y  -= 100;
-             }
-             
-             else{
-              this.player.y  += 100;
-             }
-          }, () => {})
-      // Add custom input for moving left
-      this.addCustomInput(
-        "ArrowLeft",
+        " ",
         () => {
-          // Calculate the new position
-          const newX = this.player.x - 5;
-  
-          // Check for collision with the left window boundary
-          if (newX >= 0) {
-            this.player.setPosition(newX, this.player.y);
+          // Hop up and back down, once per press
+          if (this.jumping) {
+            return;
           }
+          this.jumping = true;
+          // The hop is tweened apart from the player's position, which update sets every tick
+          this.tween(this.hop, { height: 100 }, { duration: 200, easing: "easeOutQuad", yoyo: true, repeat: 1 })
+            .then(() => {
+              this.jumping = false;
+            });
         },
-        () => {
-          // Cleanup input when the key is released
-          this.cleanupInputs();
-        }
+        () => {},
+        { trigger: "press" }
       );
   
       this.addCustomInput(
@@ -161,39 +117,9 @@ class GameScene extends Scene {
           console.log(this.engine.inputState.mouse);
           this.score.updateContent(`<p style="color: red;">${this.v++}</p>`);
         },
-        () => {
-          // Cleanup input when the key is released
-          this.cleanupInputs();
-        }
-      );
-  
-      this.addCustomInput(
-        "ArrowUp",
-        () => {
-          // Calculate the new position
-          const newY = this.player.y - 10;
-  
-          // Check for collision with the top window boundary
-          if (newY >= 0) {
-            this.player.setPosition(this.player.x, newY);
-          }
-        },
         () => {}
       );
-      this.addCustomInput(
-        "ArrowDown",
-        () => {
-          // Calculate the new position
-          const newY = this.player.y + 10;
-  
-          // Check for collision with the bottom window boundary
-          if (newY + this.player.height <= this.engine.window().clientHeight) {
-            this.player.setPosition(this.player.x, newY);
-          }
-        },
-        () => {}
-      );
-    }
+      }
   }
   
   const engine = new ReduxEngine("game-container", 800, 600);
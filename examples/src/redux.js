@@ -1,6 +1,98 @@
+/**
+ * @class EventEmitter
+ * @description Publish and subscribe to named events, the base of ReduxEngine, Scene and Entity. Handlers are called in
+ * the order they were added with the arguments passed to emit.
+ *
+ * Built-in events:
+ * - ReduxEngine sceneStart (scene), sceneStop (scene), entityAdded (entity), entityRemoved (entity),
+ *   input ({ key, pressed }) whenever an input is pressed or released, doubleTap ({ key }), longPress ({ key }, or the
+ *   touch for touches), tap (touch), swipe (touch with direction, dx and dy), pinch ({ scale, x, y, worldX, worldY }),
+ *   gamepadConnected (gamepad) and gamepadDisconnected (gamepad)
+ * - Scene sceneStart (scene), sceneStop (scene), collision (contact) when two of its entities start touching
+ * - Entity collision (other, contact) when it starts touching another entity or a tilemap
+ * @method on - Add a handler
+ * @method once - Add a handler that is removed after its first call
+ * @method off - Remove a handler
+ * @method emit - Call an event's handlers
+ * @example
+ * engine.on('sceneStart', (scene) => console.log('started', scene));
+ * player.on('collision', (other, contact) => {
+ *  if (other instanceof Coin) player.emit('coinCollected', other);
+ * });
+ */
+class EventEmitter {
+    constructor() {
+      this.eventHandlers = {}; // Handlers by event name
+    }
+  
+    /**
+     * @method on
+     * @param {String} event
+     * @param {Function} handler
+     * @returns @type {Function} - Removes the handler
+     */
+    on(event, handler) {
+      if (!this.eventHandlers[event]) {
+        this.eventHandlers[event] = [];
+      }
+      this.eventHandlers[event].push(handler);
+      return () => this.off(event, handler);
+    }
+  
+    /**
+     * @method once
+     * @param {String} event
+     * @param {Function} handler
+     * @returns @type {Function} - Removes the handler
+     */
+    once(event, handler) {
+      const wrapper = (...args) => {
+        this.off(event, wrapper);
+        handler(...args);
+      };
+      wrapper.handler = handler; // So off can remove it by the original handler
+      return this.on(event, wrapper);
+    }
+  
+    /**
+     * @method off
+     * @param {String} event - The event, every event if left out
+     * @param {Function} handler - The handler, every handler of the event if left out
+     */
+    off(event, handler) {
+      if (event === undefined) {
+        this.eventHandlers = {};
+      } else if (handler === undefined) {
+        delete this.eventHandlers[event];
+      } else if (this.eventHandlers[event]) {
+        this.eventHandlers[event] = this.eventHandlers[event].filter(
+          (other) => other !== handler && other.handler !== handler
+        );
+      }
+    }
+  
+    /**
+     * @method emit
+     * @param {String} event
+     * @param {...*} args - Passed to the handlers
+     * @returns @type {Boolean} - Whether the event had handlers
+     */
+    emit(event, ...args) {
+      const handlers = this.eventHandlers[event];
+      if (!handlers || !handlers.length) {
+        return false;
+      }
+      // Handlers added or removed while emitting take effect on the next emit
+      handlers.slice().forEach((handler) => {
+        handler(...args);
+      });
+      return true;
+    }
+  }
+  
 /**
  * @class ReduxEngine
- * @description Base class for ReduxEngine
+ * @description Base class for ReduxEngine, emits the events listed under EventEmitter
  * @param {String} containerId - The id of the container element
  * @param {Number} width - The width of the container element
  * @param {Number} height - The height of the container element
@@ -8,14 +100,38 @@
  * @property {HTMLElement} container - The container element
  * @property {Array} entities - The entities in the game
  * @property {Boolean} isRunning - The running state of the game
+ * @property {Boolean} isPaused - Whether the loop is paused, it keeps rendering but does not tick
+ * @property {Number} timeScale - How fast game time passes, 0.5 for slow motion, defaults to 1
+ * @property {Boolean} autoPause - Pause while the page is hidden, defaults to true
+ * @property {Array} listeners - The DOM listeners the engine has added, removed by destroy
+ * @property {String|EventTarget} inputScope - Where keyboard input is read: focus (default) for only while the container
+ * has focus, an element, or window for every key on the page. Set it before start. The container takes focus when the
+ * engine starts, unless something else on the page has it, and when it is clicked
+ * @property {Number} doubleTapTime - Milliseconds between two presses of an input that count as a double tap, defaults to 300
+ * @property {Number} longPressTime - Milliseconds an input has to be held to count as a long press, defaults to 500
+ * @property {Object} touchSettings - { tapDistance, tapTime, swipeDistance, swipeTime } in pixels and milliseconds,
+ * how far and how long a touch can move and last to count as a tap or a swipe
+ * @property {Object} gamepadSettings - { deadzone, curve } for the sticks of standard gamepads. Stick positions closer to
+ * the middle than the deadzone (0.15) read as zero, the rest is rescaled and shaped by the curve: linear, quadratic, cubic
+ * or a function from 0 - 1 to 0 - 1. An unknown curve throws when it is set
+ * @property {InputMap} input - Actions bound to keys, mouse buttons and gamepads, see InputMap
+ * @property {Array} viewports - Extra views of the world rendered into other containers, see Viewport
+ * @property {Boolean} destroyed - Whether destroy has been called
  * @property {Function} updateCallback - The update callback function
  * @property {Number} frameRate - The frame rate of the game
  * @property {Number} frameInterval - The frame interval of the game
+ * @property {Number} timeStep - The fixed simulation step in seconds
+ * @property {Number} maxFrameTime - The longest frame (in seconds) the simulation will catch up on
  * @property {Number} lastFrameTime - The last frame time of the game
  * @property {Object} keyStates - The key states of the game
  * @property {HTMLElement} fpsElement - The FPS element of the game
- * @property {Scene} currentScene - The current scene of the game
+ * @property {Scene} currentScene - The scene on top of the scene stack
+ * @property {Array} sceneStack - The running scenes, bottom to top
  * @property {Object} scenes - The scenes of the game
+ * @property {AssetManager} assets - The asset store shared by every scene
+ * @property {TweenManager} tweens - The running tweens, stepped every tick
+ * @property {String} loadingScene - The scene shown while a scene preloads, unless the scene change names its own
+ * @property {Object} transitions - The scene transitions available to startScene, pushScene, popScene and replaceScene
  * @property {Camera} camera - The camera of the game
  * @method setUpdateCallback - Set the update callback function
  * @object {Object} inputState - The engine input state
@@ -25,11 +141,26 @@
  * @method clearEntities - Clear all entities from the game
  * @method addScene - Add a scene to the game
  * @method startScene - Start a scene in the game
+ * @method pushScene - Start a scene on top of the running scenes
+ * @method popScene - Stop the top scene and resume the one below
+ * @method replaceScene - Swap the top scene for another
+ * @method registerTransition - Add a custom scene transition
+ * @method tween - Animate properties of an entity, UI element or object
+ * @method sequence - Run tweens one after another
+ * @method parallel - Run tweens together
  * @method handleInput - Handle input for the game
  * @method removeInputListeners - Remove input listeners from the game
  * @method logFps - Log the FPS of the game
  * @method loop - The game loop
+ * @method tick - Advance the simulation by one fixed step
+ * @method render - Draw entities interpolated between the last two ticks
  * @method start - Start the game
+ * @method stop - Stop the game loop
+ * @method pause - Stop ticking, rendering goes on
+ * @method resume - Continue ticking after a pause
+ * @method step - Advance exactly one tick while paused
+ * @method destroy - Tear the engine down
+ * @method listen - Add a DOM listener that destroy removes
  * @method setupInputListeners - Setup input listeners for the game
  * @example
  * const engine = new ReduxEngine('game-container', 800, 600);
@@ -42,6 +173,8 @@
  * engine.addScene('StartMenu', startMenuScene);
  * engine.addScene('Game', gameScene);
  * engine.startScene('StartMenu');
+ * engine.pushScene('PauseMenu');
+ * engine.popScene();
  * engine.handleInput('ArrowRight', () => {
  * // ArrowRight pressed
  * }, () => {
@@ -50,10 +183,16 @@
  * engine.removeInputListeners('ArrowRight');
  * engine.logFps(fps);
  * engine.start();
+ * engine.pause();
+ * engine.step();
+ * engine.resume();
+ * engine.stop();
+ * engine.destroy();
  * engine.setupInputListeners();
  */
-class ReduxEngine {
+class ReduxEngine extends EventEmitter {
     constructor(containerId, width, height, frameRate = 60) {
+      super();
       this.container = document.getElementById(containerId);
       this.container.style.position = "relative";
       this.container.style.width = width + "px";
@@ -64,41 +203,84 @@ class ReduxEngine {
       this.container.style.display = "flex";
       this.entities = [];
       this.isRunning = false;
+      this.isPaused = false;
+      this.timeScale = 1;
+      this.autoPause = true;
+      this.pausedWhileHidden = false; // Set when autoPause paused the game, so only that pause is undone
+      this.frameRequest = null; // The requestAnimationFrame id of the next loop
+      this.listenersReady = false; // Input listeners are added on the first start only
+      this.listeners = []; // { target, type, handler, options } for every listener added with listen
+      this.inputScope = "focus";
+      this.viewports = [];
+      this.stickSettings = createGamepadSettings(); // See gamepadSettings
+
+      this.destroyed = false;
       this.updateCallback = null;
       this.frameRate = frameRate;
       this.frameInterval = 1000 / this.frameRate;
+      this.timeStep = 1 / this.frameRate;
+      this.maxFrameTime = 0.25;
+      this.accumulator = 0;
       this.lastFrameTime = 0;
   
       let inputState = {
         keyboard: {},
         mouse: {},
         touch: {},
-        gamepad: [
-          {
-            input: null,
-            axis: [],
-            buttons: [],
-          },
-        ],
+        // Browsers report up to four gamepads
+        gamepad: [0, 1, 2, 3].map(() => emptyGamepadState()),
       };
       /**
        * @property {Object} inputState - The engine input state
        * @property {Object} inputState.keyboard -  The keyboard input state
        * @property {Object} inputState.mouse -  The mouse input state
-       * @property {Object} inputState.touch -  The touch input state
+       * @property {Object} inputState.touch -  The touches on the container by touch id, each { id, x, y, worldX, worldY,
+       * startX, startY, startTime, input } with x and y relative to the container and worldX and worldY in the world.
+       * startTime is in performance.now() milliseconds, gestures are timed in real time rather than game time
        * @property {Object} inputState.gamepad -  The gamepad input state
        * @property {Object} inputState.gamepad[0] -  The first gamepad input state
        * @property {Object} inputState.gamepad[1] -  The second gamepad input state
        * @property {Object} inputState.gamepad[index].input -  The gamepad input
-       * @property {Object} inputState.gamepad[index].axis -  The gamepad axis
+       * @property {Object} inputState.gamepad[index].axis -  The gamepad axes, sticks of standard gamepads after the
+       * deadzone and response curve
+       * @property {Object} inputState.gamepad[index].rawAxis -  The gamepad axes as the browser reports them
+       * @property {Object} inputState.gamepad[index].buttons -  The gamepad buttons
+       * @property {Boolean} inputState.gamepad[index].connected -  Whether a gamepad is connected in the slot
+       * @property {Boolean} inputState.gamepad[index].standard -  Whether the gamepad has the standard layout, only those
+       * have named buttons, sticks and triggers
        * @readonly
        */
       this.inputState = inputState;
-      this.gamepadStates = {};
+      this.gamepadStates = {}; // Connected gamepads by index
       this.keyStates = {};
+      this.pressedInputs = {}; // Pressed state of every input, bound or not
+      // Inputs pressed and released since the last tick, so taps shorter than a tick are not missed
+      this.pendingPresses = new Set();
+      this.pendingReleases = new Set();
+      // Inputs that changed at the start of this tick, see updateInputStates
+      this.inputEdges = { pressed: new Set(), released: new Set(), doubleTapped: new Set(), longPressed: new Set() };
+      this.inputTimings = {}; // { heldTime, lastPress, longPressed } by input key, in milliseconds of game time
+      this.inputClock = 0; // Milliseconds of game time ticked
+      this.doubleTapTime = 300;
+      this.longPressTime = 500;
+      this.axisValues = {}; // Analog inputs other than gamepad axes, see setAxisValue
+      // Distances in pixels and times in milliseconds that tell touch gestures apart
+      this.touchSettings = { tapDistance: 10, tapTime: 250, swipeDistance: 50, swipeTime: 500 };
+      this.pinch = null; // { ids, startDistance } while two touches pinch
+      this.virtualControls = []; // On-screen joysticks and buttons kept in place while the camera moves
       this.fpsElement = null; // For displaying FPS
-      this.currentScene = null;
+      this.sceneStack = [];
       this.scenes = {};
+      this.transitions = { ...sceneTransitions };
+      this.assets = new AssetManager();
+      engines.add(this);
+      this.tweens = new TweenManager();
+      this.inputMaps = []; // Input maps updated every tick
+      this.input = new InputMap(this);
+      this.loadingScene = null; // Scene shown while a scene's manifest preloads
+      this.transitioning = false; // Input is blocked while a scene transition runs
+      this.sceneChange = Promise.resolve();
+      this.pendingChanges = 0; // Scene changes still loading or animating
       this.camera = null;
     }
     /**
@@ -113,14 +295,16 @@ class ReduxEngine {
     /**
      * @method addEntity
      * @param {*} element
+     * @param {HTMLElement} parent - The element to render the entity in, defaults to the container
      * @description Add an entity to the game
      * @example
      * ReduxEngine.addEntity(entity);
      */
   
-    addEntity(element) {
+    addEntity(element, parent = this.container) {
       this.entities.push(element);
-      this.container.appendChild(element.element);
+      parent.appendChild(element.element);
+      this.emit("entityAdded", element);
     }
     /**
      * @method removeEntity
@@ -133,6 +317,7 @@ class ReduxEngine {
     removeEntity(element) {
       this.entities = this.entities.filter((entity) => entity !== element);
       element.element.remove();
+      this.emit("entityRemoved", element);
     }
     /**
      * @method clearEntities
@@ -149,29 +334,370 @@ class ReduxEngine {
     /**
      * @method addScene
      * @param {*} sceneName
-     * @param {*} scene
+     * @param {Scene|Function} scene - A scene instance or a Scene subclass to create on first use
      * @description Allows you to add scenes to the game
      * @example
      * ReduxEngine.addScene('StartMenu', startMenuScene);
+     * ReduxEngine.addScene('Game', GameScene);
      */
   
     addScene(sceneName, scene) {
       this.scenes[sceneName] = scene;
     }
   
+    /**
+     * @method getScene
+     * @param {String} sceneName
+     * @returns @type {Scene} - The scene added under the given name
+     * @description Look up an added scene, creating it if a Scene subclass was added
+     */
+    getScene(sceneName) {
+      let scene = this.scenes[sceneName];
+      if (!scene) {
+        throw new Error(`Scene "${sceneName}" has not been added to the engine`);
+      }
+      if (typeof scene === "function") {
+        scene = new scene(this);
+        this.scenes[sceneName] = scene;
+      }
+      return scene;
+    }
+  
+    /**
+     * @property {Scene} currentScene
+     * @description The scene on top of the scene stack
+     * @readonly
+     */
+    get currentScene() {
+      return this.sceneStack[this.sceneStack.length - 1] || null;
+    }
+  
+    /**
+     * @property {Object} gamepadSettings
+     * @description The stick deadzone and response curve. Setting it copies the given fields, and setting an unknown
+     * curve throws
+     */
+    get gamepadSettings() {
+      return this.stickSettings;
+    }
+  
+    set gamepadSettings(settings) {
+      Object.assign(this.stickSettings, settings);
+    }
+  
     /**
      * @method startScene
      * @param {*} sceneName
-     * @description Start the given scene
+     * @param {Object} options - Optional transition settings, see changeScenes
+     * @returns @type {Promise} - Resolves once the scene has started and any transition has finished
+     * @description Stop every running scene and start the given scene
      * @example
      * ReduxEngine.startScene('StartMenu');
+     * ReduxEngine.startScene('Game', { transition: 'fade', duration: 400 }).then(() => {
+     *  // Game is running and fully visible
+     * });
+     */
+    startScene(sceneName, options) {
+      return this.changeScenes(() => this.sceneStack.slice(), sceneName, options);
+    }
+  
+    /**
+     * @method pushScene
+     * @param {String} sceneName
+     * @param {Object} options - Optional transition settings, see changeScenes
+     * @returns @type {Promise} - Resolves once the scene has started and any transition has finished
+     * @description Start a scene on top of the running scenes. The scenes underneath keep their DOM and
+     * inputs, and the new scene's updateBelow, renderBelow and inputBelow flags decide what they keep doing
+     * @example
+     * class PauseMenu extends Scene {
+     *  constructor(engine) {
+     *    super(engine);
+     *    this.renderBelow = true; // keep drawing the game behind the menu
+     *    this.updateBelow = false; // freeze the game while paused
+     *  }
+     * }
+     * ReduxEngine.pushScene('PauseMenu');
+     */
+    pushScene(sceneName, options) {
+      return this.changeScenes(() => {
+        if (this.sceneStack.includes(this.getScene(sceneName))) {
+          throw new Error(`Scene "${sceneName}" is already running`);
+        }
+        return [];
+      }, sceneName, options);
+    }
+  
+    /**
+     * @method popScene
+     * @param {Object} options - Optional transition settings, see changeScenes
+     * @returns @type {Promise} - Resolves once the scene has stopped and any transition has finished
+     * @description Stop the top scene and resume the one below it
+     * @example
+     * ReduxEngine.popScene();
+     */
+    popScene(options) {
+      return this.changeScenes(() => this.sceneStack.slice(-1), null, options);
+    }
+  
+    /**
+     * @method replaceScene
+     * @param {String} sceneName
+     * @param {Object} options - Optional transition settings, see changeScenes
+     * @returns @type {Promise} - Resolves once the scene has started and any transition has finished
+     * @description Stop the top scene and start another in its place, leaving the scenes below untouched
+     * @example
+     * ReduxEngine.replaceScene('Level2', { transition: 'slide' });
      */
-    startScene(sceneName) {
-      if (this.currentScene) {
-        this.currentScene.stop();
+    replaceScene(sceneName, options) {
+      return this.changeScenes(() => this.sceneStack.slice(-1), sceneName, options);
+    }
+  
+    /**
+     * @method registerTransition
+     * @param {String} name
+     * @param {Object} transition
+     * @param {Array|Object|String} transition.out - Keyframes for the outgoing scenes, or the name of a CSS @keyframes rule
+     * @param {Array|Object|String} transition.in - Keyframes for the incoming scene, or the name of a CSS @keyframes rule
+     * @param {Boolean} transition.overlap - Start the incoming scene before the outgoing scenes stop so both animate together,
+     * otherwise the outgoing scenes animate out and stop before the incoming scene starts
+     * @param {String} transition.easing - The default easing for the transition
+     * @description Add a custom scene transition
+     * @example
+     * ReduxEngine.registerTransition('zoom', {
+     *  overlap: false,
+     *  out: [{ transform: 'scale(1)' }, { transform: 'scale(0)' }],
+     *  in: 'zoomIn', // @keyframes zoomIn { ... } in your stylesheet
+     * });
+     * ReduxEngine.startScene('Game', { transition: 'zoom', duration: 600 });
+     */
+    registerTransition(name, transition) {
+      this.transitions[name] = transition;
+    }
+  
+    /**
+     * @method changeScenes
+     * @param {Function} getOutgoing - Returns the running scenes to stop, read once any earlier transition has finished
+     * @param {String} sceneName - The scene to start on top of the stack, if any
+     * @param {Object} options
+     * @param {String} options.transition - The name of a registered transition: fade, crossfade, slide, wipe or a custom one
+     * @param {Number} options.duration - The transition length in milliseconds, defaults to 400
+     * @param {String} options.easing - Overrides the transition's easing
+     * @param {Function} options.onComplete - Called once the change has finished
+     * @param {String} options.loadingScene - The scene to show while the incoming scene preloads, defaults to engine.loadingScene
+     * @param {Function} options.onProgress - Called with (loaded, total, url) while the incoming scene preloads
+     * @returns @type {Promise} - Resolves once the change has finished, rejects if it cannot be made
+     * @description Swap scenes on the stack, animating their layers when a transition is given. The incoming scene's
+     * manifest is preloaded first. Input is blocked while a transition runs. Scene changes run one at a time in the
+     * order they were requested, so a change requested while another is loading or animating waits for it to finish.
+     * With nothing to wait for, a change that needs no loading or transition is made before this returns
+     * @private
+     */
+    changeScenes(getOutgoing, sceneName, options = {}) {
+      const change = (incoming) => {
+        const outgoing = getOutgoing();
+        if (!options.transition) {
+          this.swapScenes(outgoing, incoming);
+          return null;
+        }
+        const transition = this.transitions[options.transition];
+        if (!transition) {
+          throw new Error(`Unknown scene transition "${options.transition}"`);
+        }
+        const timing = {
+          duration: options.duration !== undefined ? options.duration : 400,
+          easing: options.easing || transition.easing || "ease-in-out",
+        };
+        // A scene that is both leaving and entering has a single layer, so it cannot overlap itself
+        const overlap = transition.overlap && !outgoing.includes(incoming);
+        this.transitioning = true;
+  
+        const animateOut = () =>
+          Promise.all(
+            outgoing.map((scene) =>
+              animateSceneLayer(scene.element, transition.out, timing)
+            )
+          );
+        const animateIn = () =>
+          incoming
+            ? animateSceneLayer(incoming.element, transition.in, timing)
+            : Promise.resolve();
+  
+        let done;
+        if (overlap) {
+          this.swapScenes([], incoming);
+          done = Promise.all([animateOut(), animateIn()]).then(() => {
+            this.swapScenes(outgoing, null);
+          });
+        } else {
+          done = animateOut().then(() => {
+            this.swapScenes(outgoing, incoming);
+            return animateIn();
+          });
+        }
+        return done.finally(() => {
+          this.transitioning = false;
+        });
+      };
+  
+      // The scene is looked up here so an unknown name rejects like any other change that cannot be made
+      const run = () => {
+        const incoming = sceneName ? this.getScene(sceneName) : null;
+        const loading = incoming && this.loadScene(incoming, options);
+        return loading ? loading.then(() => change(incoming)) : change(incoming);
+      };
+      const complete = () => {
+        if (options.onComplete) {
+          options.onComplete();
+        }
+      };
+  
+      let done;
+      if (!this.pendingChanges) {
+        // Nothing to wait for, so start now, and a change without loading or a transition is already made when
+        // startScene returns, currentScene can be read straight after
+        try {
+          done = run();
+        } catch (error) {
+          return Promise.reject(error);
+        }
+        if (!done) {
+          complete();
+          return Promise.resolve();
+        }
+      } else {
+        // Queue behind the previous change, even one that is still loading, so scenes never change mid-animation
+        // and a later request is never overridden by an earlier one
+        done = this.sceneChange.then(run);
+      }
+      done = done.then(complete);
+      this.pendingChanges++;
+      // A failed change rejects its own promise and the queue carries on
+      const settled = () => {
+        this.pendingChanges--;
+      };
+      this.sceneChange = done.then(settled, settled);
+      return done;
+    }
+  
+    /**
+     * @method loadScene
+     * @param {Scene} scene
+     * @param {Object} options - The loadingScene and onProgress settings given to the scene change
+     * @returns @type {Promise|null} - Resolves once the scene's manifest is loaded, null when everything is already cached
+     * @description Preload a scene's manifest into the asset store, showing the loading scene meanwhile
+     * @example
+     * ReduxEngine.startScene('Game', {
+     *  loadingScene: 'Loading',
+     *  onProgress: (loaded, total) => console.log(`${loaded} / ${total}`),
+     * });
+     */
+    loadScene(scene, options = {}) {
+      const pending = scene
+        .getManifest()
+        .filter(({ type, url }) => !this.assets.has(type, url));
+      if (!pending.length) {
+        return null;
+      }
+  
+      const loadingName = options.loadingScene || this.loadingScene;
+      const loadingScene = loadingName ? this.getScene(loadingName) : null;
+      const showLoading = loadingScene && loadingScene !== scene && !this.sceneStack.includes(loadingScene);
+      if (showLoading) {
+        // Pushed right away, going through the scene change queue would wait for this load
+        this.swapScenes([], loadingScene);
+      }
+  
+      const hideLoading = () => {
+        if (showLoading && this.sceneStack.includes(loadingScene)) {
+          this.swapScenes([loadingScene], null);
+        }
+      };
+      return this.assets
+        .preload(pending, (loaded, total, url) => {
+          scene.loadProgress(loaded, total, url);
+          if (showLoading) {
+            loadingScene.loadProgress(loaded, total, url);
+          }
+          if (options.onProgress) {
+            options.onProgress(loaded, total, url);
+          }
+        })
+        .then(
+          () => hideLoading(),
+          (error) => {
+            hideLoading();
+            throw error;
+          }
+        );
+    }
+  
+    /**
+     * @method swapScenes
+     * @param {Array} outgoing - The running scenes to stop
+     * @param {Scene} incoming - The scene to start on top of the stack, if any
+     * @description Stop and start scenes on the stack right away, notifying scenes that are covered or uncovered
+     * @private
+     */
+    swapScenes(outgoing, incoming) {
+      // A scene change that was loading or transitioning when the engine was destroyed does nothing
+      if (this.destroyed) {
+        return;
+      }
+      const previousTop = this.currentScene;
+      outgoing
+        .slice()
+        .reverse()
+        .forEach((scene) => {
+          this.sceneStack.splice(this.sceneStack.indexOf(scene), 1);
+          scene.stop();
+          this.emit("sceneStop", scene);
+        });
+      if (incoming) {
+        this.sceneStack.push(incoming);
+        incoming.start();
+        incoming.emit("sceneStart", incoming);
+        this.emit("sceneStart", incoming);
+      }
+      const top = this.currentScene;
+      if (top !== previousTop) {
+        if (previousTop && this.sceneStack.includes(previousTop)) {
+          previousTop.coveredLogic(top);
+        } else if (top && top !== incoming) {
+          top.uncoveredLogic(previousTop);
+        }
+      }
+      this.refreshSceneStack();
+    }
+  
+    /**
+     * @method activeScenes
+     * @param {String} flag - The scene flag that lets scenes below take part, updateBelow, renderBelow or inputBelow
+     * @returns @type {Array} - The scenes taking part, bottom to top
+     * @description Walk down from the top scene for as long as each scene lets the ones below it take part
+     * @private
+     */
+    activeScenes(flag) {
+      const scenes = [];
+      for (let i = this.sceneStack.length - 1; i >= 0; i--) {
+        scenes.unshift(this.sceneStack[i]);
+        if (!this.sceneStack[i][flag]) {
+          break;
+        }
       }
-      this.currentScene = this.scenes[sceneName];
-      this.currentScene.start();
+      return scenes;
+    }
+  
+    /**
+     * @method refreshSceneStack
+     * @description Apply z-order and visibility to the scene layers after the stack changes
+     * @private
+     */
+    refreshSceneStack() {
+      const visible = this.activeScenes("renderBelow");
+      this.sceneStack.forEach((scene, index) => {
+        scene.element.style.zIndex = scene.zIndex !== null ? scene.zIndex : index;
+        scene.element.style.display = visible.includes(scene) ? "" : "none";
+      });
     }
   
     setCamera(camera) {
@@ -202,13 +728,204 @@ class ReduxEngine {
   
     removeInputListeners(key) {
       delete this.keyStates[key];
+      this.sceneStack.forEach((scene) => {
+        delete scene.customInputs[key];
+      });
+    }
+  
+    /**
+     * @method setInputPressed
+     * @param {String} key - The input key, e.g. 'ArrowRight', 'mouse0' or 'gamepad0_button0'
+     * @param {Boolean} pressed
+     * @description Record the pressed state of an input for engine and scene bindings, emitting input when it changes
+     * @private
+     */
+    setInputPressed(key, pressed) {
+      const changed = !!this.pressedInputs[key] !== pressed;
+      this.pressedInputs[key] = pressed;
+      if (this.keyStates[key]) {
+        this.keyStates[key].isPressed = pressed;
+      }
+      if (changed) {
+        (pressed ? this.pendingPresses : this.pendingReleases).add(key);
+        this.emit("input", { key: key, pressed: pressed });
+      }
+    }
+  
+    /**
+     * @method isInputPressed
+     * @param {String} key
+     * @returns @type {Boolean} - Whether the input is currently pressed
+     */
+    isInputPressed(key) {
+      return !!this.pressedInputs[key];
+    }
+  
+    /**
+     * @method axisValue
+     * @param {String} key - A gamepad axis, e.g. 'gamepad0_axis0' or 'gamepad0_leftX', a trigger, 'gamepad0_LT', or an
+     * analog input set with setAxisValue
+     * @returns @type {Number} - The axis value from -1 to 1, or null if the key is not an analog input
+     */
+    axisValue(key) {
+      const axis = /^gamepad(\d+)_(?:axis(\d+)|(\w+))$/.exec(key);
+      if (axis) {
+        const gamepad = this.inputState.gamepad[axis[1]];
+        if (axis[2] !== undefined) {
+          return gamepad ? gamepad.axis[axis[2]] || 0 : 0;
+        }
+        // Names only mean something on the standard layout
+        const standard = gamepad && gamepad.standard;
+        if (GAMEPAD_AXES.includes(axis[3])) {
+          return standard ? gamepad.axis[GAMEPAD_AXES.indexOf(axis[3])] || 0 : 0;
+        }
+        if (axis[3] === "LT" || axis[3] === "RT") {
+          const button = standard ? gamepad.buttons[GAMEPAD_BUTTONS.indexOf(axis[3])] : null;
+          return button ? button.value : 0;
+        }
+      }
+      return this.axisValues.hasOwnProperty(key) ? this.axisValues[key] : null;
+    }
+  
+    /**
+     * @method setAxisValue
+     * @param {String} key - The name of the analog input, e.g. 'joystick_x'
+     * @param {Number} value - From -1 to 1
+     * @description Feed an analog input, as the virtual joystick does, so input maps can bind it like a gamepad axis
+     */
+    setAxisValue(key, value) {
+      this.axisValues[key] = value;
+    }
+  
+    /**
+     * @method justPressed
+     * @param {String} key
+     * @returns @type {Boolean} - Whether the input was pressed since the previous tick
+     */
+    justPressed(key) {
+      return this.inputEdges.pressed.has(key);
+    }
+  
+    /**
+     * @method justReleased
+     * @param {String} key
+     * @returns @type {Boolean} - Whether the input was released since the previous tick. A tap shorter than a tick is
+     * both just pressed and just released
+     */
+    justReleased(key) {
+      return this.inputEdges.released.has(key);
+    }
+  
+    /**
+     * @method heldDuration
+     * @param {String} key
+     * @returns @type {Number} - Milliseconds of game time the input has been held, 0 if it is not pressed
+     * @example
+     * const charge = Math.min(engine.heldDuration(' ') / 1000, 1);
+     */
+    heldDuration(key) {
+      const timing = this.inputTimings[key];
+      return this.isInputPressed(key) && timing ? timing.heldTime : 0;
+    }
+  
+    /**
+     * @method justDoubleTapped
+     * @param {String} key
+     * @returns @type {Boolean} - Whether the input was pressed this tick within doubleTapTime of its previous press.
+     * The engine also emits doubleTap with { key }
+     */
+    justDoubleTapped(key) {
+      return this.inputEdges.doubleTapped.has(key);
+    }
+  
+    /**
+     * @method justLongPressed
+     * @param {String} key
+     * @returns @type {Boolean} - Whether the input has just been held for longPressTime. The engine also emits longPress
+     * with { key }
+     */
+    justLongPressed(key) {
+      return this.inputEdges.longPressed.has(key);
+    }
+  
+    /**
+     * @method updateInputStates
+     * @param {Number} dt - The step length in seconds
+     * @description Work out which inputs were pressed, released, double tapped or long pressed since the last tick, and
+     * how long held inputs have been held. Called at the start of every tick
+     * @private
+     */
+    updateInputStates(dt) {
+      this.inputClock += dt * 1000;
+      const edges = { pressed: new Set(), released: new Set(), doubleTapped: new Set(), longPressed: new Set() };
+      const timingOf = (key) => {
+        if (!this.inputTimings[key]) {
+          this.inputTimings[key] = { heldTime: 0, lastPress: null, longPressed: false };
+        }
+        return this.inputTimings[key];
+      };
+  
+      for (const key in this.pressedInputs) {
+        // Touches only long press while they stay in place, see below
+        if (this.pressedInputs[key] && !this.pendingPresses.has(key) && key !== "touch") {
+          const timing = timingOf(key);
+          timing.heldTime += dt * 1000;
+          if (!timing.longPressed && timing.heldTime >= this.longPressTime) {
+            timing.longPressed = true;
+            edges.longPressed.add(key);
+          }
+        }
+      }
+      this.pendingPresses.forEach((key) => {
+        const timing = timingOf(key);
+        edges.pressed.add(key);
+        timing.heldTime = 0;
+        timing.longPressed = false;
+        if (timing.lastPress !== null && this.inputClock - timing.lastPress <= this.doubleTapTime) {
+          edges.doubleTapped.add(key);
+          timing.lastPress = null; // A third press starts a new pair
+        } else {
+          timing.lastPress = this.inputClock;
+        }
+      });
+      this.pendingReleases.forEach((key) => {
+        edges.released.add(key);
+      });
+      this.pendingPresses.clear();
+      this.pendingReleases.clear();
+      this.inputEdges = edges;
+  
+      edges.doubleTapped.forEach((key) => {
+        this.emit("doubleTap", { key: key });
+      });
+      edges.longPressed.forEach((key) => {
+        this.emit("longPress", { key: key });
+      });
+    }
+  
+    /**
+     * @method updateTouchGestures
+     * @param {Number} now - The current performance.now() time
+     * @description Emit longPress for touches held in place for longPressTime. Gestures are timed in real time and
+     * checked every frame, so they work while the game is paused, e.g. on a pause menu
+     * @private
+     */
+    updateTouchGestures(now) {
+      Object.values(this.inputState.touch).forEach((touch) => {
+        if (!touch.moved && !touch.longPressed && now - touch.startTime >= this.longPressTime) {
+          touch.longPressed = true;
+          this.emit("longPress", { key: "touch", ...touch });
+        }
+      });
     }
   
     /**
      * @method inputHandler
      * @param {*} key
-     * @param {Function} startCallback
-     * @param {Fnction} stopCallback
+     * @param {Function} startCallback - Called with dt every tick the input is held, or once when it is pressed
+     * @param {Fnction} stopCallback - Called with dt once when the input is released
+     * @param {Object} options
+     * @param {String} options.trigger - hold (default) to call startCallback every tick while held, press to call it once per press
      * @description Implement custom input setup in derived scenes
      * @example
      * this.inputHandler('ArrowRight', () => {
@@ -227,13 +944,18 @@ class ReduxEngine {
      * // mouse1 pressed
      * }, () => {});
      *
+     * this.inputHandler(' ', () => {
+     * // once per press
+     * }, null, { trigger: 'press' });
+     *
      */
   
-    inputHandler(key, startCallback, stopCallback) {
+    inputHandler(key, startCallback, stopCallback, options = {}) {
       this.keyStates[key] = {
-        isPressed: false,
+        isPressed: this.isInputPressed(key),
         startCallback: startCallback,
         stopCallback: stopCallback,
+        trigger: options.trigger || "hold",
       };
     }
     /**
@@ -253,84 +975,368 @@ class ReduxEngine {
         this.fpsElement.style.color = color;
         this.fpsElement.style.left = "10px";
         this.container.appendChild(this.fpsElement);
-        document.title = `FPS: ${fps.toFixed(2)}`;
       }
       this.fpsElement.innerText = `FPS: ${fps.toFixed(2)}`;
     }
   
-    loop() {
+    /**
+     * @method loop
+     * @param {Number} timestamp - The requestAnimationFrame timestamp
+     * @description Runs as many fixed steps as the elapsed time allows, then renders once
+     * with entities interpolated between their previous and current positions
+     */
+    loop(timestamp = performance.now()) {
       if (!this.isRunning) {
         return;
       }
   
-      const currentTime = Date.now();
-      const elapsed = currentTime - this.lastFrameTime;
+      // Clamp long hitches so the simulation does not spiral trying to catch up
+      const frameTime = Math.min(
+        (timestamp - this.lastFrameTime) / 1000,
+        this.maxFrameTime
+      );
+      this.lastFrameTime = timestamp;
+      this.updateTouchGestures(performance.now());
+      // Once per frame rather than per tick, so gamepads can still be read while the game is paused
+      this.pollGamepads();
+      // The step length stays fixed, time scale changes how many steps a frame runs
+      if (!this.isPaused) {
+        this.accumulator += frameTime * this.timeScale;
+      }
+  
+      while (this.accumulator >= this.timeStep) {
+        this.tick(this.timeStep);
+        this.accumulator -= this.timeStep;
+      }
   
-      if (elapsed >= this.frameInterval) {
-        this.lastFrameTime = currentTime;
+      // Nothing ticks while paused, so show the latest step instead of going back towards the one before it
+      this.render(this.isPaused ? 1 : this.accumulator / this.timeStep);
   
-        if (this.updateCallback) {
-          this.updateCallback(this.entities);
-        }
+      // Calculate and log FPS
+      if (frameTime > 0) {
+        this.logFps(1 / frameTime);
+      }
+  
+      this.frameRequest = requestAnimationFrame((time) => this.loop(time));
+    }
+  
+    /**
+     * @method tick
+     * @param {Number} dt - The step length in seconds
+     * @description Advance the simulation by one fixed step
+     * @example
+     * engine.setUpdateCallback((entities, dt) => {
+     *  player.x += 300 * dt; // 300px per second regardless of frame rate
+     * });
+     */
+    tick(dt) {
+      this.updateInputStates(dt);
+      this.inputMaps.forEach((inputMap) => {
+        inputMap.update();
+      });
+      this.entities.forEach((entity) => {
+        entity.savePosition();
+      });
+  
+      if (this.updateCallback) {
+        this.updateCallback(this.entities, dt);
+      }
   
+      if (!this.transitioning) {
         // Check for key state changes
         for (const key in this.keyStates) {
           if (this.keyStates.hasOwnProperty(key)) {
             const keyState = this.keyStates[key];
-            if (keyState.isPressed && keyState.startCallback) {
-              keyState.startCallback();
-            } else if (!keyState.isPressed && keyState.stopCallback) {
-              keyState.stopCallback();
+            const started = keyState.trigger === "press" ? this.justPressed(key) : keyState.isPressed;
+            if (started && keyState.startCallback) {
+              keyState.startCallback(dt);
+            }
+            if (this.justReleased(key) && keyState.stopCallback) {
+              keyState.stopCallback(dt);
             }
           }
         }
   
-        if (this.camera) {
-          this.camera.update();
-        }
+        this.activeScenes("inputBelow").forEach((scene) => {
+          scene.handleInputs(dt * scene.timeScale);
+        });
+      }
   
-        // Calculate and log FPS
-        const fps = 1000 / elapsed;
-        this.logFps(fps);
+      if (this.sceneStack.length) {
+        this.activeScenes("updateBelow").forEach((scene) => {
+          scene.tick(dt * scene.timeScale);
+        });
+      } else {
+        this.entities.forEach((entity) => {
+          entity.update(dt);
+          entity.updateAnimation(dt);
+        });
       }
   
-      requestAnimationFrame(() => this.loop());
+      this.tweens.update(dt);
     }
+  
     /**
-     * @method start
-     * @description Initiate the game loop
+     * @method tween
+     * @param {Object} target - An entity, UI element or any object with numeric properties
+     * @param {Object} props - The values to animate to
+     * @param {Object} options - See Tween
+     * @returns @type {Tween} - The running tween, which can be awaited
+     * @description Animate numeric properties over time. Tweens are stepped by the engine tick so they pause with the game.
+     * They follow engine.timeScale but not a scene's timeScale, see Scene.tween
      * @example
-     * ReduxEngine.start();
+     * await engine.tween(coin, { y: coin.y - 40, opacity: 0 }, { duration: 300, easing: 'easeOutQuad' });
+     * engine.tween(door, { x: 200 }, { duration: 500 }).chain(door, { x: 0 }, { delay: 1000 });
      */
+    tween(target, props, options) {
+      return this.tweens.add(new Tween(target, props, options));
+    }
   
-    start() {
-      if (!this.isRunning) {
-        this.isRunning = true;
-        this.loop();
-        this.setupInputListeners(); // Add input event listeners once when starting
-      } else {
-        throw new Error(
-          "Too many instances of ReduxEngine start should only be called once"
-        );
-      }
+    /**
+     * @method sequence
+     * @param {Array} tweens - Tweens or groups made with new Tween, engine.sequence or engine.parallel
+     * @returns @type {TweenGroup} - The running group, which can be awaited
+     * @description Run tweens one after another, each starts from where the last one left its target
+     * @example
+     * engine.sequence([
+     *  new Tween(player, { x: 100 }, { duration: 200 }),
+     *  new Tween(player, { rotation: 360 }, { duration: 400 }),
+     * ]);
+     */
+    sequence(tweens) {
+      return this.tweens.add(new TweenGroup(tweens, "sequence"));
     }
   
-    handleMouseInput(event) {
-      // get button etc
-      let { type } = event;
-      event.preventDefault();
+    /**
+     * @method parallel
+     * @param {Array} tweens - Tweens or groups made with new Tween, engine.sequence or engine.parallel
+     * @returns @type {TweenGroup} - The running group, which settles when every tween has finished
+     * @description Run tweens together
+     */
+    parallel(tweens) {
+      return this.tweens.add(new TweenGroup(tweens, "parallel"));
+    }
   
-      switch (type) {
-        case "mousedown":
-          this.inputState.mouse = {
+    /**
+     * @method render
+     * @param {Number} alpha - How far (0 - 1) the current frame is between the last two ticks
+     * @description Draw entities interpolated between the last two ticks
+     */
+    render(alpha) {
+      this.entities.forEach((entity) => {
+        entity.render(alpha);
+      });
+  
+      if (this.camera) {
+        this.camera.update();
+      }
+  
+      const view = this.camera
+        ? this.camera.getView()
+        : { x: 0, y: 0, width: this.container.clientWidth, height: this.container.clientHeight };
+      this.activeScenes("renderBelow").forEach((scene) => {
+        scene.render(view);
+      });
+  
+      this.viewports.forEach((viewport) => {
+        viewport.render();
+      });
+  
+      this.virtualControls.forEach((control) => {
+        control.render();
+      });
+    }
+
+    /**
+     * @method start
+     * @description Initiate the game loop
+     * @example
+     * ReduxEngine.start();
+     */
+  
+    start() {
+      if (this.destroyed) {
+        throw new Error("A destroyed ReduxEngine cannot be started");
+      }
+      if (!this.isRunning) {
+        this.isRunning = true;
+        this.isPaused = false;
+        this.accumulator = 0;
+        this.lastFrameTime = performance.now();
+        this.loop(this.lastFrameTime);
+        if (!this.listenersReady) {
+          this.listenersReady = true;
+          this.setupInputListeners(); // Add input event listeners once when starting
+        }
+      } else {
+        throw new Error(
+          "Too many instances of ReduxEngine start should only be called once"
+        );
+      }
+    }
+  
+    /**
+     * @method stop
+     * @description Stop the game loop. Scenes, entities and input listeners are kept, so start continues the game
+     * @example
+     * ReduxEngine.stop();
+     */
+    stop() {
+      this.isRunning = false;
+      this.isPaused = false;
+      this.pausedWhileHidden = false;
+      if (this.frameRequest !== null) {
+        cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+      }
+    }
+  
+    /**
+     * @method destroy
+     * @description Tear the engine down: stop the loop and every running scene and tween, remove every listener and
+     * cancel every animation frame the engine added, and clear the container. The engine cannot be started again
+     * @example
+     * // unmounting a game in a single page app
+     * engine.destroy();
+     */
+    destroy() {
+      if (this.destroyed) {
+        return;
+      }
+      this.stop();
+      this.destroyed = true;
+      this.sceneStack
+        .slice()
+        .reverse()
+        .forEach((scene) => {
+          scene.stop();
+          this.emit("sceneStop", scene);
+        });
+      this.sceneStack = [];
+      this.tweens.running.forEach((tween) => {
+        tween.stop();
+      });
+      this.tweens.running = [];
+      this.removeListeners();
+      this.viewports.slice().forEach((viewport) => {
+        viewport.destroy();
+      });
+      this.virtualControls = [];
+      this.clearEntities();
+      this.container.innerHTML = "";
+      this.container.style.transform = ""; // Left by the camera
+      this.fpsElement = null;
+      this.camera = null;
+      this.keyStates = {};
+      this.assets.purge();
+      engines.delete(this);
+      this.off(); // Last, so handlers see the scenes and entities go
+    }
+  
+    /**
+     * @method listen
+     * @param {EventTarget} target - window, document, the container or any element
+     * @param {String} type - The event type
+     * @param {Function} handler
+     * @param {Object} options - addEventListener options
+     * @description Add a DOM listener that is removed when the engine is destroyed
+     * @example
+     * ReduxEngine.listen(window, 'resize', () => this.fitToWindow());
+     */
+    listen(target, type, handler, options) {
+      target.addEventListener(type, handler, options);
+      this.listeners.push({ target: target, type: type, handler: handler, options: options });
+    }
+  
+    /**
+     * @method removeListeners
+     * @description Remove every DOM listener added with listen
+     * @private
+     */
+    removeListeners() {
+      this.listeners.forEach(({ target, type, handler, options }) => {
+        target.removeEventListener(type, handler, options);
+      });
+      this.listeners = [];
+      this.listenersReady = false;
+    }
+  
+    /**
+     * @method pause
+     * @description Stop ticking. The loop keeps rendering, so scene transitions and UI stay responsive, while entities,
+     * physics, animations, tweens and timers hold still
+     * @example
+     * ReduxEngine.pause();
+     */
+    pause() {
+      this.isPaused = true;
+      this.accumulator = 0;
+    }
+  
+    /**
+     * @method resume
+     * @description Continue ticking after a pause, the paused time is not caught up on
+     * @example
+     * ReduxEngine.resume();
+     */
+    resume() {
+      this.isPaused = false;
+      this.pausedWhileHidden = false;
+      this.accumulator = 0;
+      this.lastFrameTime = performance.now();
+      // Interpolate from where the entities were shown while paused, not from the step before
+      this.entities.forEach((entity) => {
+        entity.savePosition();
+      });
+    }
+  
+    /**
+     * @method step
+     * @description Advance exactly one tick and render it, for stepping through the game while paused
+     * @example
+     * ReduxEngine.pause();
+     * ReduxEngine.step();
+     */
+    step() {
+      if (this.isRunning && !this.isPaused) {
+        throw new Error("Pause the engine before stepping");
+      }
+      this.pollGamepads();
+      this.tick(this.timeStep);
+      this.render(1);
+    }
+  
+    /**
+     * @method handleVisibilityChange
+     * @description Pause while the page is hidden and resume when it is shown, if autoPause is on and the game was not
+     * already paused
+     * @private
+     */
+    handleVisibilityChange() {
+      if (document.hidden) {
+        if (this.autoPause && this.isRunning && !this.isPaused) {
+          this.pause();
+          this.pausedWhileHidden = true;
+        }
+      } else if (this.pausedWhileHidden) {
+        this.resume();
+      }
+    }
+  
+    handleMouseInput(event) {
+      // get button etc
+      let { type } = event;
+      event.preventDefault();
+  
+      switch (type) {
+        case "mousedown":
+          this.inputState.mouse = {
             input: event,
             x: event.clientX,
             y: event.clientY,
           };
   
-          if (this.keyStates["mouse" + event.button]) {
-            this.keyStates["mouse" + event.button].isPressed = true;
-          }
+          this.setInputPressed("mouse" + event.button, true);
           break;
         case "mouseup":
           this.inputState.mouse = {
@@ -338,9 +1344,7 @@ class ReduxEngine {
             x: event.clientX,
             y: event.clientY,
           };
-          if (this.keyStates["mouse" + event.button]) {
-            this.keyStates["mouse" + event.button].isPressed = false;
-          }
+          this.setInputPressed("mouse" + event.button, false);
           break;
         case "mousemove":
           this.inputState.mouse = {
@@ -348,9 +1352,7 @@ class ReduxEngine {
             x: event.clientX,
             y: event.clientY,
           };
-          if (this.keyStates["getMousePosition"]) {
-            this.keyStates["getMousePosition"].isPressed = true;
-          }
+          this.setInputPressed("getMousePosition", true);
   
           break;
         default:
@@ -358,67 +1360,305 @@ class ReduxEngine {
       }
     }
   
+    /**
+     * @method handleGamepadInput
+     * @param {GamepadEvent} event
+     * @description Connect and disconnect gamepads as the browser reports them, polling picks up the rest
+     * @private
+     */
     handleGamepadInput(event) {
       const { type, gamepad } = event;
   
       if (type === "gamepadconnected") {
-        this.gamepadStates[gamepad.index] = gamepad;
-  
-        const updateGamepad = () => {
-          const updatedGamepad = navigator.getGamepads()[gamepad.index];
-  
-          if (updatedGamepad) {
-            // Check button presses
-            for (let i = 0; i < updatedGamepad.buttons.length; i++) {
-              const button = updatedGamepad.buttons[i];
-              let inputKey = `gamepad${gamepad.index}_button${i}`;
-              if (this.keyStates[inputKey]) {
-                if (button.pressed) {
-                  this.keyStates[inputKey].isPressed = true;
-                } else {
-                  this.keyStates[inputKey].isPressed = false;
-                }
-              }
-            }
-  
-            // Check axis values
-            for (let i = 0; i < updatedGamepad.axes.length; i++) {
-              const axisValue = updatedGamepad.axes[i];
-              const inputKey = `gamepad${gamepad.index}_axis`;
-  
-              if (this.keyStates[inputKey]) {
-                this.inputState.gamepad[gamepad.index] = {
-                  input: updatedGamepad,
-                  axis: updatedGamepad.axes,
-                  buttons: updatedGamepad.buttons,
-                };
-                this.keyStates[inputKey].isPressed = true;
-              }
-            }
-          }
-          requestAnimationFrame(updateGamepad);
-        };
-        updateGamepad();
+        this.connectGamepad(gamepad);
       } else if (type === "gamepaddisconnected") {
-        delete this.gamepadStates[gamepad.index];
+        this.disconnectGamepad(gamepad.index);
+      }
+    }
+  
+    /**
+     * @method connectGamepad
+     * @param {Gamepad} gamepad
+     * @description Start reading a gamepad and emit gamepadConnected, unless it is already connected
+     * @private
+     */
+    connectGamepad(gamepad) {
+      if (this.gamepadStates[gamepad.index]) {
+        return;
+      }
+      this.gamepadStates[gamepad.index] = gamepad;
+      this.inputState.gamepad[gamepad.index] = { ...emptyGamepadState(), input: gamepad, connected: true };
+      this.emit("gamepadConnected", gamepad);
+    }
+  
+    /**
+     * @method disconnectGamepad
+     * @param {Number} index
+     * @description Release the gamepad's buttons, empty its slot and emit gamepadDisconnected
+     * @private
+     */
+    disconnectGamepad(index) {
+      const gamepad = this.gamepadStates[index];
+      if (!gamepad) {
+        return;
+      }
+      delete this.gamepadStates[index];
+      for (const key in this.pressedInputs) {
+        if (key.startsWith(`gamepad${index}_`) && this.pressedInputs[key]) {
+          this.setInputPressed(key, false);
+        }
+      }
+      this.inputState.gamepad[index] = emptyGamepadState();
+      this.emit("gamepadDisconnected", gamepad);
+    }
+  
+    /**
+     * @method pollGamepads
+     * @description Read every connected gamepad once, called by the loop every frame before it ticks, paused or not.
+     * Buttons are pressed as gamepad0_button0. Gamepads with the standard layout also press buttons by name, gamepad0_A,
+     * and their sticks go through the deadzone and response curve, other gamepads report their axes as they are
+     * @private
+     */
+    pollGamepads() {
+      if (typeof navigator === "undefined" || !navigator.getGamepads) {
+        return;
+      }
+      const gamepads = navigator.getGamepads();
+      for (let index = 0; index < gamepads.length; index++) {
+        const gamepad = gamepads[index];
+        if (gamepad && gamepad.connected !== false) {
+          this.connectGamepad(gamepad);
+          this.readGamepad(gamepad);
+        } else {
+          this.disconnectGamepad(index);
+        }
+      }
+    }
+  
+    /**
+     * @method readGamepad
+     * @param {Gamepad} gamepad - A fresh snapshot from navigator.getGamepads
+     * @private
+     */
+    readGamepad(gamepad) {
+      const index = gamepad.index;
+      this.gamepadStates[index] = gamepad; // Some browsers hand out a new object every poll
+      // Only the standard layout says which button is which and which axes pair up as sticks
+      const standard = gamepad.mapping === "standard";
+      gamepad.buttons.forEach((button, i) => {
+        this.setInputPressed(`gamepad${index}_button${i}`, button.pressed);
+        if (standard && GAMEPAD_BUTTONS[i]) {
+          this.setInputPressed(`gamepad${index}_${GAMEPAD_BUTTONS[i]}`, button.pressed);
+        }
+      });
+  
+      const axis = gamepad.axes.slice();
+      // Sticks are axis pairs, their deadzone is round so diagonals are not cut off
+      for (let i = 0; standard && i + 1 < GAMEPAD_AXES.length && i + 1 < axis.length; i += 2) {
+        const [x, y] = this.shapeStick(axis[i], axis[i + 1]);
+        axis[i] = x;
+        axis[i + 1] = y;
+      }
+      this.inputState.gamepad[index] = {
+        input: gamepad,
+        axis: axis,
+        rawAxis: gamepad.axes.slice(),
+        buttons: gamepad.buttons,
+        connected: true,
+        standard: standard,
+      };
+      if (axis.length) {
+        this.setInputPressed(`gamepad${index}_axis`, true);
+      }
+    }
+  
+    /**
+     * @method shapeStick
+     * @param {Number} x
+     * @param {Number} y
+     * @returns @type {Array} - [x, y] after gamepadSettings' deadzone and curve
+     * @private
+     */
+    shapeStick(x, y) {
+      const { deadzone, curve } = this.gamepadSettings;
+      const length = Math.hypot(x, y);
+      if (length <= deadzone || length === 0) {
+        return [0, 0];
+      }
+      // The curve was checked when it was set, see createGamepadSettings
+      const shape = typeof curve === "function" ? curve : GAMEPAD_CURVES[curve];
+      const scaled = shape(Math.min((length - deadzone) / (1 - deadzone), 1));
+      return [(x / length) * scaled, (y / length) * scaled];
+    }
+  
+    /**
+     * @method vibrate
+     * @param {Number} index - The gamepad index
+     * @param {Object} options
+     * @param {Number} options.duration - Milliseconds, defaults to 200
+     * @param {Number} options.strongMagnitude - The low frequency motor from 0 to 1, defaults to 1
+     * @param {Number} options.weakMagnitude - The high frequency motor from 0 to 1, defaults to 1
+     * @returns @type {Promise} - Resolves with whether the gamepad could vibrate
+     * @example
+     * engine.on('gamepadConnected', (gamepad) => engine.vibrate(gamepad.index, { duration: 100 }));
+     */
+    vibrate(index, options = {}) {
+      const gamepad = this.gamepadStates[index];
+      const duration = options.duration !== undefined ? options.duration : 200;
+      const strongMagnitude = options.strongMagnitude !== undefined ? options.strongMagnitude : 1;
+      const weakMagnitude = options.weakMagnitude !== undefined ? options.weakMagnitude : 1;
+      if (gamepad && gamepad.vibrationActuator && gamepad.vibrationActuator.playEffect) {
+        return gamepad.vibrationActuator
+          .playEffect("dual-rumble", {
+            duration: duration,
+            strongMagnitude: strongMagnitude,
+            weakMagnitude: weakMagnitude,
+          })
+          .then(
+            () => true,
+            () => false
+          );
+      }
+      // Older Firefox only has haptic pulses
+      if (gamepad && gamepad.hapticActuators && gamepad.hapticActuators.length) {
+        return gamepad.hapticActuators[0].pulse(Math.max(strongMagnitude, weakMagnitude), duration).then(
+          () => true,
+          () => false
+        );
       }
+      return Promise.resolve(false);
     }
   
+    /**
+     * @method handleTouchInput
+     * @param {TouchEvent} event
+     * @description Track the touches on the container in inputState.touch and recognize taps, swipes and pinches.
+     * The touch input key is pressed while any finger is down
+     * @private
+     */
     handleTouchInput(event) {
       const { type } = event;
+      // Touches that start on UI are left to it, so its buttons still get their clicks
+      if (this.isOnUI(event.target)) {
+        return;
+      }
+      event.preventDefault(); // No scrolling, zooming or emulated mouse events
+      const rect = this.container.getBoundingClientRect();
+      // The camera moves the container, so the container's rect is already offset into the world
+      const translateX = this.camera ? this.camera.translateX : 0;
+      const translateY = this.camera ? this.camera.translateY : 0;
+      const touches = this.inputState.touch;
   
-      switch (type) {
-        case "touchstart":
-          // Handle touch start if needed
-          break;
-        case "touchend":
-          // Handle touch end if needed
-          break;
-        case "touchmove":
-          // Handle touch move if needed
-          break;
-        default:
-          break;
+      Array.from(event.changedTouches).forEach((input) => {
+        const worldX = input.clientX - rect.left;
+        const worldY = input.clientY - rect.top;
+        const position = { x: worldX + translateX, y: worldY + translateY, worldX: worldX, worldY: worldY, input: input };
+  
+        switch (type) {
+          case "touchstart":
+            touches[input.identifier] = {
+              id: input.identifier,
+              ...position,
+              startX: position.x,
+              startY: position.y,
+              startTime: performance.now(),
+              moved: false,
+              longPressed: false,
+              pinched: false,
+            };
+            break;
+          case "touchmove": {
+            const touch = touches[input.identifier];
+            if (!touch) {
+              break;
+            }
+            Object.assign(touch, position);
+            if (Math.hypot(touch.x - touch.startX, touch.y - touch.startY) > this.touchSettings.tapDistance) {
+              touch.moved = true;
+            }
+            break;
+          }
+          case "touchend":
+          case "touchcancel": {
+            const touch = touches[input.identifier];
+            if (!touch) {
+              break;
+            }
+            Object.assign(touch, position);
+            delete touches[input.identifier];
+            if (type === "touchend") {
+              this.recognizeGesture(touch);
+            }
+            break;
+          }
+          default:
+            break;
+        }
+      });
+  
+      this.updatePinch(type);
+      this.setInputPressed("touch", Object.keys(touches).length > 0);
+    }
+  
+    /**
+     * @method isOnUI
+     * @param {EventTarget} target
+     * @returns @type {Boolean} - Whether the target is inside a UI element of a running scene
+     * @private
+     */
+    isOnUI(target) {
+      return this.sceneStack.some((scene) =>
+        scene.uiElements.some((uiElement) => uiElement.element.contains(target))
+      );
+    }
+  
+    /**
+     * @method recognizeGesture
+     * @param {Object} touch - A touch that has just ended
+     * @description Emit tap or swipe for a touch that was not part of a pinch or a long press
+     * @private
+     */
+    recognizeGesture(touch) {
+      if (touch.pinched || touch.longPressed) {
+        return;
+      }
+      const dx = touch.x - touch.startX;
+      const dy = touch.y - touch.startY;
+      const time = performance.now() - touch.startTime;
+      if (!touch.moved && time <= this.touchSettings.tapTime) {
+        this.emit("tap", touch);
+      } else if (Math.hypot(dx, dy) >= this.touchSettings.swipeDistance && time <= this.touchSettings.swipeTime) {
+        const direction = Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? "right" : "left") : dy > 0 ? "down" : "up";
+        this.emit("swipe", { ...touch, direction: direction, dx: dx, dy: dy });
+      }
+    }
+  
+    /**
+     * @method updatePinch
+     * @param {String} type - The touch event type
+     * @description Start a pinch when a second finger comes down and emit pinch as the two fingers move
+     * @private
+     */
+    updatePinch(type) {
+      const touches = this.inputState.touch;
+      if (this.pinch && !this.pinch.ids.every((id) => touches[id])) {
+        this.pinch = null;
+      }
+      const ids = Object.keys(touches);
+      if (!this.pinch && ids.length === 2 && type === "touchstart") {
+        const [a, b] = ids.map((id) => touches[id]);
+        a.pinched = true;
+        b.pinched = true;
+        this.pinch = { ids: ids, startDistance: Math.max(Math.hypot(a.x - b.x, a.y - b.y), 1) };
+      } else if (this.pinch && type === "touchmove") {
+        const [a, b] = this.pinch.ids.map((id) => touches[id]);
+        this.emit("pinch", {
+          scale: Math.hypot(a.x - b.x, a.y - b.y) / this.pinch.startDistance,
+          x: (a.x + b.x) / 2,
+          y: (a.y + b.y) / 2,
+          worldX: (a.worldX + b.worldX) / 2,
+          worldY: (a.worldY + b.worldY) / 2,
+        });
       }
     }
   
@@ -428,17 +1668,11 @@ class ReduxEngine {
       switch (type) {
         case "keydown":
           this.inputState.keyboard[key] = true;
-  
-          if (this.keyStates[key]) {
-            this.keyStates[key].isPressed = true;
-          }
+          this.setInputPressed(key, true);
           break;
         case "keyup":
           this.inputState.keyboard[key] = false;
-  
-          if (this.keyStates[key]) {
-            this.keyStates[key].isPressed = false;
-          }
+          this.setInputPressed(key, false);
           break;
         default:
           break;
@@ -447,7 +1681,8 @@ class ReduxEngine {
   
     /**
      * @method setupInputListeners
-     * @description Setup input listeners for the game
+     * @description Setup input listeners for the game. Keyboard input is read from inputScope, mouse and touch input
+     * from the container
      * @example
      * ReduxEngine.setupInputListeners();
      * @private
@@ -455,48 +1690,75 @@ class ReduxEngine {
   
     setupInputListeners() {
       let isPressed = false;
-      window.addEventListener("keydown", (event) => {
+      let keyboardTarget = this.inputScope === "window" ? window : this.inputScope;
+      if (this.inputScope === "focus") {
+        keyboardTarget = this.container;
+        // The container needs a tabindex to take focus, and keys held when it loses focus are released
+        this.container.setAttribute("tabindex", "0");
+        if (!document.activeElement || document.activeElement === document.body) {
+          this.container.focus(); // So a game alone on its page reads keys without being clicked first
+        }
+        this.listen(this.container, "blur", () => {
+          for (const key in this.inputState.keyboard) {
+            if (this.inputState.keyboard[key]) {
+              this.handleKeyboardInput({ type: "keyup", key: key });
+            }
+          }
+        });
+      }
+      this.listen(keyboardTarget, "keydown", (event) => {
         this.handleKeyboardInput(event);
       });
   
-      window.addEventListener("keyup", (event) => {
+      this.listen(keyboardTarget, "keyup", (event) => {
         this.handleKeyboardInput(event);
       });
-      document.addEventListener("contextmenu", (event) => event.preventDefault());
+      this.listen(this.container, "contextmenu", (event) => event.preventDefault());
   
       // constantly check mouse input
-      this.container.addEventListener("mousedown", (event) => {
+      this.listen(this.container, "mousedown", (event) => {
         event.preventDefault();
+        if (this.inputScope === "focus") {
+          this.container.focus(); // preventDefault stops the click from focusing it
+        }
         this.handleMouseInput(event);
       });
-      this.container.addEventListener("mouseup", (event) => {
+      this.listen(this.container, "mouseup", (event) => {
         event.preventDefault();
         this.handleMouseInput(event);
       });
-      this.container.addEventListener("mousemove", (event) => {
+      this.listen(this.container, "mousemove", (event) => {
         event.preventDefault();
         this.handleMouseInput(event);
       });
   
-      this.container.addEventListener("touchstart", (event) => {
+      this.listen(this.container, "touchstart", (event) => {
+        this.handleTouchInput(event);
+      });
+  
+      this.listen(this.container, "touchend", (event) => {
         this.handleTouchInput(event);
       });
   
-      this.container.addEventListener("touchend", (event) => {
+      this.listen(this.container, "touchmove", (event) => {
         this.handleTouchInput(event);
       });
   
-      this.container.addEventListener("touchmove", (event) => {
+      this.listen(this.container, "touchcancel", (event) => {
         this.handleTouchInput(event);
       });
   
-      window.addEventListener("gamepadconnected", (event) => {
+      this.listen(window, "gamepadconnected", (event) => {
         this.handleGamepadInput(event);
       });
   
-      window.addEventListener("gamepaddisconnected", (event) => {
+      this.listen(window, "gamepaddisconnected", (event) => {
         this.handleGamepadInput(event);
       });
+  
+      this.listen(document, "visibilitychange", () => {
+        this.handleVisibilityChange();
+      });
     }
   
     /**
@@ -509,727 +1771,5681 @@ class ReduxEngine {
     }
   }
   
-  class Camera {
-    constructor(container, voidColor) {
-      this.container = container;
-      this.targetEntity = null;
-      this.voidColor =   voidColor || "black";
-      this.container.style.overflow = "hidden";
-      this.offsetX = 0;
-      this.offsetY = 0;
-    }
-    follow(entity) {
-      this.targetEntity = entity;
-    }
+  /**
+   * @constant GAMEPAD_BUTTONS
+   * @description The names of the buttons of the standard gamepad layout by button index, Xbox style
+   */
+  const GAMEPAD_BUTTONS = ["A", "B", "X", "Y", "LB", "RB", "LT", "RT", "Back", "Start", "LS", "RS", "DPadUp", "DPadDown", "DPadLeft", "DPadRight", "Home"];
   
-    update() {
-      if (this.targetEntity) {
-        const targetX = this.targetEntity.x;
-        const targetY = this.targetEntity.y;
+  /**
+   * @constant GAMEPAD_AXES
+   * @description The names of the axes of the standard gamepad layout by axis index
+   */
+  const GAMEPAD_AXES = ["leftX", "leftY", "rightX", "rightY"];
   
-        // follow entitity closely
-        const newOffsetX =
-          targetX - this.container.clientWidth / 2 + this.targetEntity.width / 2;
-        const newOffsetY =
-          targetY -
-          this.container.clientHeight / 2 +
-          this.targetEntity.height / 2;
-        // Apply the new position to the container's scroll position
-        if (this.container.scrollLeft !== newOffsetX) {
-          this.container.style.transform = `translate(${
-            this.offsetX - newOffsetX
-          }px, ${this.offsetY - newOffsetY}px)`;
-        }
-        this.container.style.backgroundColor = this.voidColor;
+  /**
+   * @constant GAMEPAD_CURVES
+   * @description Stick response curves by name, from how far the stick is pushed past the deadzone to the value read
+   */
+  const GAMEPAD_CURVES = {
+    linear: (t) => t,
+    quadratic: (t) => t * t,
+    cubic: (t) => t * t * t,
+  };
   
-        // Update the camera's offset values
-        this.offsetX = newOffsetX / 5;
-        this.offsetY = newOffsetY / 2;
+  /**
+   * @function emptyGamepadState
+   * @returns @type {Object} - The inputState.gamepad slot of a gamepad that is not connected
+   * @private
+   */
+  function emptyGamepadState() {
+    return { input: null, axis: [], rawAxis: [], buttons: [], connected: false, standard: false };
+  }
   
-        return {
-          x: this.offsetX,
-          y: this.offsetY,
+  /**
+   * @function createGamepadSettings
+   * @returns @type {Object} - { deadzone, curve } for engine.gamepadSettings. The curve is checked as it is set, so an
+   * unknown name throws where it is made instead of on every poll
+   * @private
+   */
+  function createGamepadSettings() {
+    let curve = "linear";
+    return {
+      deadzone: 0.15,
+      get curve() {
+        return curve;
+      },
+      set curve(value) {
+        if (typeof value !== "function" && !GAMEPAD_CURVES.hasOwnProperty(value)) {
+          throw new Error(
+            `Unknown gamepad curve "${value}", use ${Object.keys(GAMEPAD_CURVES).join(", ")} or a function`
+          );
+        }
+        curve = value;
+      },
+    };
+  }
+  
+  /**
+   * @constant sceneTransitions
+   * @description The built in scene transitions, see ReduxEngine.registerTransition for the format
+   */
+  const sceneTransitions = {
+    fade: {
+      overlap: false,
+      out: [{ opacity: 1 }, { opacity: 0 }],
+      in: [{ opacity: 0 }, { opacity: 1 }],
+    },
+    crossfade: {
+      overlap: true,
+      out: [{ opacity: 1 }, { opacity: 0 }],
+      in: [{ opacity: 0 }, { opacity: 1 }],
+    },
+    slide: {
+      overlap: true,
+      out: [{ transform: "translateX(0%)" }, { transform: "translateX(-100%)" }],
+      in: [{ transform: "translateX(100%)" }, { transform: "translateX(0%)" }],
+    },
+    wipe: {
+      overlap: true,
+      out: null,
+      in: [{ clipPath: "inset(0 100% 0 0)" }, { clipPath: "inset(0 0% 0 0)" }],
+    },
+  };
+  
+  /**
+   * @function animateSceneLayer
+   * @param {HTMLElement} element - The scene layer
+   * @param {Array|Object|String} keyframes - Web Animations keyframes, or the name of a CSS @keyframes rule
+   * @param {Object} timing - The duration in milliseconds and easing
+   * @returns @type {Promise} - Resolves when the animation ends, the animation is then removed from the layer
+   * @private
+   */
+  function animateSceneLayer(element, keyframes, timing) {
+    if (!keyframes) {
+      return Promise.resolve();
+    }
+    if (typeof keyframes === "string") {
+      return new Promise((resolve) => {
+        const finish = () => {
+          clearTimeout(fallback);
+          element.removeEventListener("animationend", finish);
+          element.style.animation = "";
+          resolve();
         };
+        // animationend never fires for a layer that is hidden or a rule that does not exist
+        const fallback = setTimeout(finish, timing.duration + 50);
+        element.addEventListener("animationend", finish);
+        element.style.animation = `${keyframes} ${timing.duration}ms ${timing.easing} forwards`;
+      });
+    }
+    const animation = element.animate(keyframes, {
+      duration: timing.duration,
+      easing: timing.easing,
+      fill: "forwards",
+    });
+    return animation.finished.then(
+      () => animation.cancel(),
+      () => {}
+    );
+  }
+  
+  /**
+   * @constant Easing
+   * @description Easing curves for tweens by name, each maps progress from 0 - 1 to eased progress
+   * @example
+   * engine.tween(panel, { y: 0 }, { duration: 400, easing: 'easeOutBack' });
+   * engine.tween(panel, { y: 0 }, { duration: 400, easing: Easing.easeOutBounce });
+   */
+  const Easing = (() => {
+    const bounce = (t) => {
+      if (t < 1 / 2.75) return 7.5625 * t * t;
+      if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+      if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+      return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+    };
+    // Each curve is given as its ease in, ease out and in-out are derived from it
+    const curves = {
+      Quad: (t) => t * t,
+      Cubic: (t) => t * t * t,
+      Quart: (t) => t * t * t * t,
+      Quint: (t) => t * t * t * t * t,
+      Sine: (t) => 1 - Math.cos((t * Math.PI) / 2),
+      Expo: (t) => (t === 0 ? 0 : Math.pow(2, 10 * t - 10)),
+      Circ: (t) => 1 - Math.sqrt(1 - t * t),
+      Back: (t) => 2.70158 * t * t * t - 1.70158 * t * t,
+      Elastic: (t) => (t === 0 || t === 1 ? t : -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * ((2 * Math.PI) / 3))),
+      Bounce: (t) => 1 - bounce(1 - t),
+    };
+    const easings = { linear: (t) => t };
+    for (const name in curves) {
+      const easeIn = curves[name];
+      easings[`easeIn${name}`] = easeIn;
+      easings[`easeOut${name}`] = (t) => 1 - easeIn(1 - t);
+      easings[`easeInOut${name}`] = (t) => (t < 0.5 ? easeIn(t * 2) / 2 : 1 - easeIn((1 - t) * 2) / 2);
+    }
+    return easings;
+  })();
+  
+  /**
+   * @function readTweenValue
+   * @param {Object} target
+   * @param {String} key
+   * @returns @type {Number} - The property's current value. Opacity, rotation and scale default to 1, 0 and 1 for
+   * targets with an element that have not been tweened yet
+   * @private
+   */
+  function readTweenValue(target, key) {
+    if (typeof target[key] === "number") {
+      return target[key];
+    }
+    const defaults = { opacity: 1, rotation: 0, scale: 1 };
+    if (target.element && key in defaults) {
+      const opacity = parseFloat(target.element.style.opacity);
+      return key === "opacity" && !isNaN(opacity) ? opacity : defaults[key];
+    }
+    throw new Error(`Cannot tween "${key}", it is not a number`);
+  }
+  
+  /**
+   * @function writeTweenValue
+   * @param {Object} target
+   * @param {String} key
+   * @param {Number} value
+   * @description Set the property, and for targets with an element show opacity, rotation (in degrees) and scale on it
+   * @private
+   */
+  function writeTweenValue(target, key, value) {
+    target[key] = value;
+    if (!target.element) {
+      return;
+    }
+    if (key === "opacity") {
+      target.element.style.opacity = `${value}`;
+    } else if (key === "rotation" || key === "scale") {
+      const rotation = target.rotation !== undefined ? target.rotation : 0;
+      const scale = target.scale !== undefined ? target.scale : 1;
+      target.element.style.transform = `rotate(${rotation}deg) scale(${scale})`;
+    }
+  }
+  
+  /**
+   * @class Tween
+   * @description Animates numeric properties of a target to new values. Entities and UI elements can also tween opacity,
+   * rotation and scale, which are shown on their element. Tweens are thenable, so they can be awaited
+   * @param {Object} target - An entity, UI element or any object with numeric properties
+   * @param {Object} props - The values to animate to
+   * @param {Object} options
+   * @param {Number} options.duration - The length of one pass in milliseconds, defaults to 1000
+   * @param {String|Function} options.easing - An Easing name or a function from 0 - 1 to 0 - 1, defaults to linear
+   * @param {Number} options.delay - Milliseconds to wait before starting
+   * @param {Number} options.repeat - Extra passes after the first, -1 repeats forever
+   * @param {Boolean} options.yoyo - Play every other pass backwards
+   * @param {Function} options.onUpdate - Called with the target after every step
+   * @param {Function} options.onComplete - Called with the target when the tween finishes
+   * @property {Boolean} finished - Whether the tween has played through
+   * @property {Boolean} stopped - Whether the tween was stopped early
+   * @method chain - Start another tween when this one finishes
+   * @method stop - Stop the tween where it is
+   * @example
+   * const tween = new Tween(enemy, { opacity: 0 }, { duration: 200, yoyo: true, repeat: 5 });
+   * engine.tweens.add(tween);
+   * await tween;
+   */
+  class Tween {
+    constructor(target, props, options = {}) {
+      this.target = target;
+      this.props = { ...props };
+      this.from = null; // Read when the tween starts, after its delay
+      this.duration = options.duration !== undefined ? options.duration : 1000;
+      this.easing = typeof options.easing === "function" ? options.easing : Easing[options.easing || "linear"];
+      if (!this.easing) {
+        throw new Error(`Unknown easing "${options.easing}"`);
+      }
+      this.delay = options.delay || 0;
+      this.repeat = options.repeat || 0;
+      this.yoyo = !!options.yoyo;
+      this.onUpdate = options.onUpdate || null;
+      this.onComplete = options.onComplete || null;
+      this.elapsed = 0;
+      this.finished = false;
+      this.stopped = false;
+      this.manager = null; // Set by TweenManager.add, starts chained tweens
+      this.chained = [];
+      this.promise = new Promise((resolve) => {
+        this.resolve = resolve;
+      });
+    }
+  
+    /**
+     * @method then
+     * @description Settles with the target when the tween finishes or is stopped, so tweens can be awaited
+     */
+    then(onFulfilled, onRejected) {
+      return this.promise.then(onFulfilled, onRejected);
+    }
+  
+    /**
+     * @method chain
+     * @param {Object} target
+     * @param {Object} props
+     * @param {Object} options
+     * @returns @type {Tween} - The chained tween, which starts when this one finishes
+     * @example
+     * engine.tween(box, { x: 100 }, { duration: 200 }).chain(box, { y: 100 }, { duration: 200 });
+     */
+    chain(target, props, options) {
+      const next = new Tween(target, props, options);
+      this.chained.push(next);
+      return next;
+    }
+  
+    /**
+     * @method stop
+     * @description Stop the tween where it is, chained tweens do not start
+     */
+    stop() {
+      if (this.finished || this.stopped) {
+        return;
+      }
+      this.stopped = true;
+      this.resolve(this.target);
+    }
+  
+    /**
+     * @method apply
+     * @param {Number} progress - Eased progress from the start values (0) to the end values (1)
+     * @private
+     */
+    apply(progress) {
+      for (const key in this.props) {
+        writeTweenValue(this.target, key, this.from[key] + (this.props[key] - this.from[key]) * progress);
+      }
+      if (this.onUpdate) {
+        this.onUpdate(this.target);
+      }
+    }
+  
+    /**
+     * @method update
+     * @param {Number} dt - The step length in seconds
+     * @returns @type {Boolean} - Whether the tween is still running
+     */
+    update(dt) {
+      if (this.finished || this.stopped) {
+        return false;
+      }
+      this.elapsed += dt * 1000;
+      if (this.elapsed < this.delay) {
+        return true;
+      }
+      if (!this.from) {
+        this.from = {};
+        for (const key in this.props) {
+          this.from[key] = readTweenValue(this.target, key);
+        }
+      }
+      const time = this.elapsed - this.delay;
+      const passes = this.repeat < 0 ? Infinity : this.repeat + 1;
+      const pass = this.duration > 0 ? Math.floor(time / this.duration) : passes;
+      if (pass >= passes) {
+        // A yoyo that made an even number of passes ends where it started
+        this.apply(this.yoyo && passes % 2 === 0 ? 0 : 1);
+        this.finish();
+        return false;
+      }
+      const progress = (time % this.duration) / this.duration;
+      this.apply(this.easing(this.yoyo && pass % 2 === 1 ? 1 - progress : progress));
+      return true;
+    }
+  
+    /**
+     * @method finish
+     * @description Settle the tween and start the tweens chained to it
+     * @private
+     */
+    finish() {
+      this.finished = true;
+      if (this.onComplete) {
+        this.onComplete(this.target);
+      }
+      if (this.manager) {
+        this.chained.forEach((next) => {
+          this.manager.add(next);
+        });
+      }
+      this.resolve(this.target);
+    }
+  }
+  
+  /**
+   * @class TweenGroup
+   * @description Runs tweens one after another or together, see ReduxEngine.sequence and ReduxEngine.parallel.
+   * Groups are thenable and can hold other groups
+   * @param {Array} tweens - Tweens or groups that have not been added to a TweenManager
+   * @param {String} mode - sequence or parallel
+   */
+  class TweenGroup {
+    constructor(tweens, mode) {
+      this.tweens = tweens;
+      this.mode = mode;
+      this.index = 0; // The running tween of a sequence
+      this.finished = false;
+      this.stopped = false;
+      this.manager = null;
+      this.promise = new Promise((resolve) => {
+        this.resolve = resolve;
+      });
+    }
+  
+    then(onFulfilled, onRejected) {
+      return this.promise.then(onFulfilled, onRejected);
+    }
+  
+    /**
+     * @method stop
+     * @description Stop the group and every tween in it
+     */
+    stop() {
+      if (this.finished || this.stopped) {
+        return;
+      }
+      this.stopped = true;
+      this.tweens.forEach((tween) => {
+        tween.stop();
+      });
+      this.resolve();
+    }
+  
+    /**
+     * @method update
+     * @param {Number} dt - The step length in seconds
+     * @returns @type {Boolean} - Whether the group is still running
+     */
+    update(dt) {
+      if (this.finished || this.stopped) {
+        return false;
+      }
+      this.tweens.forEach((tween) => {
+        tween.manager = this.manager;
+      });
+      if (this.mode === "parallel") {
+        let running = false;
+        this.tweens.forEach((tween) => {
+          running = tween.update(dt) || running;
+        });
+        if (running) {
+          return true;
+        }
       } else {
-        throw new Error("Camera must have a target entity");
+        while (this.index < this.tweens.length && !this.tweens[this.index].update(dt)) {
+          this.index++;
+          dt = 0; // The next tween starts on this tick without skipping ahead
+        }
+        if (this.index < this.tweens.length) {
+          return true;
+        }
       }
+      this.finished = true;
+      this.resolve();
+      return false;
     }
   }
   
   /**
-   * @function isColliding
-   * @param {*} elementA
-   * @param {*} elementB
-   * @param {*} sensitivity
-   * @returns  @type {String} - The direction of collision
-   * @description Check if two elements are colliding
+   * @class TweenManager
+   * @description Steps running tweens, the engine's is at engine.tweens
+   * @method add - Start a tween or group
+   * @method stopTweensOf - Stop every tween of a target
+   * @method update - Step every running tween
+   */
+  class TweenManager {
+    constructor() {
+      this.running = [];
+    }
+  
+    /**
+     * @method add
+     * @param {Tween|TweenGroup} tween
+     * @returns @type {Tween|TweenGroup} - The tween
+     */
+    add(tween) {
+      tween.manager = this;
+      this.running.push(tween);
+      return tween;
+    }
+  
+    /**
+     * @method stopTweensOf
+     * @param {Object} target
+     * @description Stop every running tween of the target, e.g. before removing an entity
+     */
+    stopTweensOf(target) {
+      const stop = (tween) => {
+        if (tween.tweens) {
+          tween.tweens.forEach(stop);
+        } else if (tween.target === target) {
+          tween.stop();
+        }
+      };
+      this.running.forEach(stop);
+    }
+  
+    /**
+     * @method update
+     * @param {Number} dt - The step length in seconds
+     */
+    update(dt) {
+      // Tweens chained during this step start on the next one
+      const running = this.running;
+      this.running = [];
+      const still = running.filter((tween) => tween.update(dt));
+      this.running = still.concat(this.running);
+    }
+  }
+  
+  /**
+   * @class InputMap
+   * @description Named actions bound to physical inputs, so keyboard, mouse and gamepad controls for the same action are
+   * read in one place. A binding is one of
+   * - an input key as for addCustomInput, e.g. 'ArrowRight', ' ', 'mouse0' or 'gamepad0_button0'
+   * - a gamepad axis, 'gamepad0_axis0', or one half of it as a button, '+gamepad0_axis1' or '-gamepad0_axis1'. Other
+   *   analog inputs, like a VirtualJoystick's 'joystick_x', work the same way
+   * - a composite axis, { negative: 'a', positive: 'd' }, whose sides are bindings themselves
+   *
+   * The engine has one as engine.input and updates every input map at the start of each tick
+   * @param {ReduxEngine} engine
+   * @param {Object} options
+   * @param {Object} options.actions - Bindings by action name, see bind
+   * @param {String} options.storageKey - The localStorage key rebound controls are saved under, they are not saved without one
+   * @param {Number} options.deadzone - Analog values closer to zero are read as zero, defaults to 0 as the sticks of
+   * standard gamepads already have engine.gamepadSettings.deadzone
+   * @param {Number} options.pressThreshold - How far an axis action has to go to count as down, defaults to 0.5
+   * @method bind - Set an action's default bindings
+   * @method rebind - Change one of an action's bindings and save it
+   * @method listenForBinding - Rebind an action to the next input pressed
+   * @method resetBindings - Go back to the default bindings
+   * @method isDown - Whether an action is held
+   * @method justPressed - Whether an action went down this tick
+   * @method justReleased - Whether an action went up this tick
+   * @method axis - An action's value from -1 to 1
+   * @method vector - Two axis actions as a direction no longer than 1
    * @example
-   * // entities are instances of the Entity class
-   * this.player = new Entity(100, 100, 50, 50, 'blue');
-   * this.dummy = new Entity(100, 100, 50, 50, 'red');
-   * if(isColliding(this.player.element, this.dummy.element, 200) === 'left'){
-   * console.log('colliding')
+   * engine.input.bind('jump', [' ', 'w', 'gamepad0_button0']);
+   * engine.input.bind('moveX', [{ negative: 'a', positive: 'd' }, { negative: 'ArrowLeft', positive: 'ArrowRight' }, 'gamepad0_axis0']);
+   *
+   * update(dt) {
+   *  this.player.setPosition(this.player.x + this.engine.input.axis('moveX') * 300 * dt, this.player.y);
+   *  if (this.engine.input.justPressed('jump')) this.player.body.velocity.y = -600;
+   * }
+   */
+  class InputMap {
+    constructor(engine, options = {}) {
+      this.engine = engine;
+      this.storageKey = options.storageKey || null;
+      this.deadzone = options.deadzone !== undefined ? options.deadzone : 0;
+      this.pressThreshold = options.pressThreshold !== undefined ? options.pressThreshold : 0.5;
+      this.defaults = {}; // Bindings by action as passed to bind
+      this.bindings = {}; // Bindings by action in use, rebound or saved ones replace the defaults
+      this.down = {}; // Whether each action was down at the last update
+      this.pressed = {};
+      this.released = {};
+      // Inputs pressed and released since the last update, so taps shorter than a tick are not missed
+      this.pressedKeys = new Set();
+      this.releasedKeys = new Set();
+      this.removeListener = engine.on("input", ({ key, pressed }) => {
+        (pressed ? this.pressedKeys : this.releasedKeys).add(key);
+      });
+      engine.inputMaps.push(this);
+  
+      const actions = options.actions || {};
+      Object.keys(actions).forEach((action) => {
+        this.bind(action, actions[action]);
+      });
+    }
+  
+    /**
+     * @method bind
+     * @param {String} action
+     * @param {Array|String|Object} bindings - The default bindings, a saved rebinding of the action is used instead
+     * @example
+     * input.bind('fire', ['mouse0', 'gamepad0_button7']);
+     * input.bind('moveY', [{ negative: 'w', positive: 's' }, 'gamepad0_axis1']);
+     */
+    bind(action, bindings) {
+      this.defaults[action] = [].concat(bindings);
+      const saved = this.readSaved();
+      this.bindings[action] = saved[action] ? saved[action] : this.defaults[action].slice();
+    }
+  
+    /**
+     * @method rebind
+     * @param {String} action
+     * @param {String|Object} binding
+     * @param {Number} index - Which of the action's bindings to replace, defaults to the first
+     * @description Change a binding at runtime and save the controls under storageKey
+     * @example
+     * input.rebind('jump', 'k');
+     */
+    rebind(action, binding, index = 0) {
+      this.getBindings(action)[index] = binding;
+      this.save();
+    }
+  
+    /**
+     * @method listenForBinding
+     * @param {String} action
+     * @param {Number} index - Which of the action's bindings to replace, defaults to the first
+     * @returns @type {Promise} - Resolves with the input key once the next key, mouse or gamepad button is pressed
+     * @example
+     * this.rebindButton.on('rebind', 'click', async () => {
+     *  this.rebindButton.updateContent('Press a key...');
+     *  const key = await this.engine.input.listenForBinding('jump');
+     *  this.rebindButton.updateContent(`Jump: ${key}`);
+     * });
+     */
+    listenForBinding(action, index = 0) {
+      this.getBindings(action);
+      return new Promise((resolve) => {
+        const remove = this.engine.on("input", ({ key, pressed }) => {
+          // Mouse moves and gamepad axes are reported as inputs too, they cannot be bound this way
+          if (!pressed || key === "getMousePosition" || key.endsWith("_axis")) {
+            return;
+          }
+          remove();
+          this.rebind(action, key, index);
+          resolve(key);
+        });
+      });
+    }
+  
+    /**
+     * @method resetBindings
+     * @description Go back to the default bindings and forget the saved ones
+     */
+    resetBindings() {
+      Object.keys(this.defaults).forEach((action) => {
+        this.bindings[action] = this.defaults[action].slice();
+      });
+      if (this.storageKey) {
+        localStorage.removeItem(this.storageKey);
+      }
+    }
+  
+    /**
+     * @method save
+     * @description Save the bindings under storageKey
+     * @private
+     */
+    save() {
+      if (this.storageKey) {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+      }
+    }
+  
+    /**
+     * @method readSaved
+     * @returns @type {Object} - The saved bindings by action, empty if there are none or they cannot be read
+     * @private
+     */
+    readSaved() {
+      if (!this.storageKey) {
+        return {};
+      }
+      try {
+        return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+      } catch (error) {
+        return {};
+      }
+    }
+  
+    /**
+     * @method getBindings
+     * @param {String} action
+     * @returns @type {Array} - The action's bindings
+     * @private
+     */
+    getBindings(action) {
+      const bindings = this.bindings[action];
+      if (!bindings) {
+        throw new Error(`Action "${action}" has not been bound`);
+      }
+      return bindings;
+    }
+  
+    /**
+     * @method bindingValue
+     * @param {String|Object} binding
+     * @returns @type {Number} - 0 or 1 for buttons, -1 to 1 for axes
+     * @private
+     */
+    bindingValue(binding) {
+      if (typeof binding === "object") {
+        return this.bindingValue(binding.positive) - this.bindingValue(binding.negative);
+      }
+      // A leading + or - reads one half of an axis, the keys + and - themselves are buttons
+      const half = binding.length > 1 && (binding[0] === "+" || binding[0] === "-") ? binding[0] : "";
+      let value = this.engine.axisValue(half ? binding.slice(1) : binding);
+      if (value === null) {
+        return this.engine.isInputPressed(binding) ? 1 : 0;
+      }
+      if (Math.abs(value) < this.deadzone) {
+        value = 0;
+      }
+      if (half === "+") {
+        return Math.max(0, value);
+      }
+      if (half === "-") {
+        return Math.max(0, -value);
+      }
+      return value;
+    }
+  
+    /**
+     * @method bindingKeys
+     * @param {String|Object} binding
+     * @returns @type {Array} - The input keys the binding reads
+     * @private
+     */
+    bindingKeys(binding) {
+      if (typeof binding === "object") {
+        return this.bindingKeys(binding.positive).concat(this.bindingKeys(binding.negative));
+      }
+      return [binding];
+    }
+  
+    /**
+     * @method axis
+     * @param {String} action
+     * @returns @type {Number} - The value of the action's binding furthest from zero, from -1 to 1
+     */
+    axis(action) {
+      return this.getBindings(action).reduce((value, binding) => {
+        const bindingValue = this.bindingValue(binding);
+        return Math.abs(bindingValue) > Math.abs(value) ? bindingValue : value;
+      }, 0);
+    }
+  
+    /**
+     * @method vector
+     * @param {String} xAction
+     * @param {String} yAction
+     * @returns @type {Object} - { x, y } from the two axes, scaled down so diagonals are no faster than straight lines
+     * @example
+     * const { x, y } = engine.input.vector('moveX', 'moveY');
+     */
+    vector(xAction, yAction) {
+      const x = this.axis(xAction);
+      const y = this.axis(yAction);
+      const length = Math.hypot(x, y);
+      return length > 1 ? { x: x / length, y: y / length } : { x: x, y: y };
+    }
+  
+    /**
+     * @method isDown
+     * @param {String} action
+     * @returns @type {Boolean} - Whether any of the action's bindings is held, or pushed past pressThreshold
+     */
+    isDown(action) {
+      return Math.abs(this.axis(action)) >= this.pressThreshold;
+    }
+  
+    /**
+     * @method justPressed
+     * @param {String} action
+     * @returns @type {Boolean} - Whether the action went down since the previous tick
+     */
+    justPressed(action) {
+      this.getBindings(action);
+      return !!this.pressed[action];
+    }
+  
+    /**
+     * @method justReleased
+     * @param {String} action
+     * @returns @type {Boolean} - Whether the action went up since the previous tick
+     */
+    justReleased(action) {
+      this.getBindings(action);
+      return !!this.released[action];
+    }
+  
+    /**
+     * @method update
+     * @description Work out which actions went down or up since the last update, called by the engine at the start of each tick
+     */
+    update() {
+      Object.keys(this.bindings).forEach((action) => {
+        const wasDown = !!this.down[action];
+        const down = this.isDown(action);
+        const keys = [].concat(...this.bindings[action].map((binding) => this.bindingKeys(binding)));
+        // A tap that started and ended between two ticks counts as both
+        this.pressed[action] = !wasDown && (down || keys.some((key) => this.pressedKeys.has(key)));
+        this.released[action] = !down && (wasDown || keys.some((key) => this.releasedKeys.has(key)));
+        this.down[action] = down;
+      });
+      this.pressedKeys.clear();
+      this.releasedKeys.clear();
+    }
+  
+    /**
+     * @method destroy
+     * @description Stop updating the input map
+     */
+    destroy() {
+      this.removeListener();
+      this.engine.inputMaps = this.engine.inputMaps.filter((inputMap) => inputMap !== this);
+    }
+  }
+  
+  class Camera {
+    constructor(container, voidColor) {
+      this.container = container;
+      this.targetEntity = null;
+      this.voidColor =   voidColor || "black";
+      this.container.style.overflow = "hidden";
+      this.offsetX = 0;
+      this.offsetY = 0;
+      // The translation applied to the container by the last update
+      this.translateX = 0;
+      this.translateY = 0;
+    }
+    follow(entity) {
+      this.targetEntity = entity;
+    }
+  
+    update() {
+      if (this.targetEntity) {
+        const targetX = this.targetEntity.renderX;
+        const targetY = this.targetEntity.renderY;
+  
+        // follow entitity closely
+        const newOffsetX =
+          targetX - this.container.clientWidth / 2 + this.targetEntity.width / 2;
+        const newOffsetY =
+          targetY -
+          this.container.clientHeight / 2 +
+          this.targetEntity.height / 2;
+        this.translateX = this.offsetX - newOffsetX;
+        this.translateY = this.offsetY - newOffsetY;
+        // Apply the new position to the container's scroll position
+        if (this.container.scrollLeft !== newOffsetX) {
+          this.container.style.transform = `translate(${this.translateX}px, ${this.translateY}px)`;
+        }
+        this.container.style.backgroundColor = this.voidColor;
+  
+        // Update the camera's offset values
+        this.offsetX = newOffsetX / 5;
+        this.offsetY = newOffsetY / 2;
+  
+        return {
+          x: this.offsetX,
+          y: this.offsetY,
+        };
+      } else {
+        throw new Error("Camera must have a target entity");
+      }
+    }
+  
+    /**
+     * @method getView
+     * @returns @type {Object} - The { x, y, width, height } of the world shown after the last update
+     */
+    getView() {
+      return {
+        x: -this.translateX,
+        y: -this.translateY,
+        width: this.container.clientWidth,
+        height: this.container.clientHeight,
+      };
+    }
+  }
+
+  /**
+   * @class Viewport
+   * @description Another view of the engine's world, rendered into its own container, e.g. for split-screen. Each frame
+   * the viewport mirrors the engine's entities and draws the running scenes' tilemaps around its own camera target.
+   * Each scene gets a layer with the z-order and visibility of its own, and an entity's mirror is updated when its
+   * class or content changes. UI elements are not mirrored, each container can have its own
+   * @param {ReduxEngine} engine
+   * @param {String|HTMLElement} container - The id of the container element, or the element
+   * @param {Object} options
+   * @param {Number} options.width - The width of the container in pixels
+   * @param {Number} options.height - The height of the container in pixels
+   * @param {String} options.voidColor - The background color of the container
+   * @property {Entity} targetEntity - The entity kept in the middle of the view
+   * @property {Number} x - The world position shown at the container's left edge
+   * @property {Number} y - The world position shown at the container's top edge
+   * @method follow - Keep an entity in the middle of the view
+   * @method getView - The part of the world shown
+   * @method destroy - Remove the viewport
+   * @example
+   * const engine = new ReduxEngine('player-one', 400, 600);
+   * const camera = new Camera(engine.container, 'black');
+   * camera.follow(playerOne);
+   * engine.setCamera(camera);
+   * const playerTwoView = new Viewport(engine, 'player-two', { width: 400, height: 600 });
+   * playerTwoView.follow(playerTwo);
+   */
+  class Viewport {
+    constructor(engine, container, options = {}) {
+      this.engine = engine;
+      this.container = typeof container === "string" ? document.getElementById(container) : container;
+      this.container.style.position = "relative";
+      this.container.style.overflow = "hidden";
+      if (options.width !== undefined) {
+        this.container.style.width = options.width + "px";
+      }
+      if (options.height !== undefined) {
+        this.container.style.height = options.height + "px";
+      }
+      this.container.style.backgroundColor = options.voidColor || "";
+      this.world = document.createElement("div");
+      this.world.style.position = "absolute";
+      this.world.style.left = "0px";
+      this.world.style.top = "0px";
+      this.container.appendChild(this.world);
+      this.targetEntity = null;
+      this.x = 0;
+      this.y = 0;
+      this.mirrors = new Map(); // { element, html } mirrors by entity
+      this.layers = new Map(); // Layer elements by the scene element they stand for
+      this.tilemapOutputs = new Map(); // Tilemap outputs by tilemap, see Tilemap.createOutput
+      this.engine.viewports.push(this);
+    }
+  
+    /**
+     * @method follow
+     * @param {Entity} entity
+     */
+    follow(entity) {
+      this.targetEntity = entity;
+    }
+  
+    /**
+     * @method getView
+     * @returns @type {Object} - The { x, y, width, height } of the world shown
+     */
+    getView() {
+      return { x: this.x, y: this.y, width: this.container.clientWidth, height: this.container.clientHeight };
+    }
+  
+    /**
+     * @method getLayer
+     * @param {HTMLElement} source - The element an entity or tilemap is in
+     * @returns @type {HTMLElement} - The viewport's layer for a scene's element, or the world for anything else
+     * @private
+     */
+    getLayer(source) {
+      if (!source || source === this.engine.container) {
+        return this.world;
+      }
+      let layer = this.layers.get(source);
+      if (!layer) {
+        layer = document.createElement("div");
+        layer.style.position = "absolute";
+        layer.style.left = "0px";
+        layer.style.top = "0px";
+        this.layers.set(source, layer);
+        this.world.appendChild(layer);
+      }
+      // Scene layers change z-order as scenes are pushed and are hidden while their scene does not render
+      layer.style.zIndex = source.style.zIndex;
+      layer.style.display = source.style.display;
+      return layer;
+    }
+  
+    /**
+     * @method render
+     * @description Move the view to its target and mirror the world into it, called by the engine after it renders
+     */
+    render() {
+      if (this.targetEntity) {
+        this.x = this.targetEntity.renderX + this.targetEntity.width / 2 - this.container.clientWidth / 2;
+        this.y = this.targetEntity.renderY + this.targetEntity.height / 2 - this.container.clientHeight / 2;
+      }
+      this.world.style.transform = `translate(${-this.x}px, ${-this.y}px)`;
+      const view = this.getView();
+  
+      const tilemaps = new Set();
+      const layers = new Set();
+      this.engine.activeScenes("renderBelow").forEach((scene) => {
+        const layer = this.getLayer(scene.element);
+        layers.add(layer);
+        scene.tilemaps.forEach((tilemap) => {
+          tilemaps.add(tilemap);
+          let output = this.tilemapOutputs.get(tilemap);
+          if (!output) {
+            output = tilemap.createOutput();
+            this.tilemapOutputs.set(tilemap, output);
+          }
+          if (output.element.parentNode !== layer) {
+            layer.appendChild(output.element);
+          }
+          tilemap.render(view, output);
+        });
+      });
+      this.tilemapOutputs.forEach((output, tilemap) => {
+        if (!tilemaps.has(tilemap)) {
+          tilemap.removeOutput(output);
+          this.tilemapOutputs.delete(tilemap);
+        }
+      });
+  
+      const entities = new Set(this.engine.entities);
+      entities.forEach((entity) => {
+        let mirror = this.mirrors.get(entity);
+        if (!mirror) {
+          mirror = { element: removeIds(entity.element.cloneNode(true)), html: entity.element.innerHTML };
+          this.mirrors.set(entity, mirror);
+        }
+        const layer = this.getLayer(entity.element.parentNode);
+        layers.add(layer);
+        if (mirror.element.parentNode !== layer) {
+          layer.appendChild(mirror.element);
+        }
+        // Entities are positioned, sized and animated through their inline style
+        mirror.element.style.cssText = entity.element.style.cssText;
+        if (mirror.element.className !== entity.element.className) {
+          mirror.element.className = entity.element.className;
+        }
+        const html = entity.element.innerHTML;
+        if (mirror.html !== html) {
+          mirror.element.innerHTML = html;
+          removeIds(mirror.element);
+          mirror.html = html;
+        }
+      });
+      this.mirrors.forEach((mirror, entity) => {
+        if (!entities.has(entity)) {
+          mirror.element.remove();
+          this.mirrors.delete(entity);
+        }
+      });
+      this.layers.forEach((layer, source) => {
+        if (!layers.has(layer)) {
+          layer.remove();
+          this.layers.delete(source);
+        }
+      });
+    }
+  
+    /**
+     * @method destroy
+     * @description Remove the viewport and everything it drew from its container
+     */
+    destroy() {
+      this.tilemapOutputs.forEach((output, tilemap) => {
+        tilemap.removeOutput(output);
+      });
+      this.tilemapOutputs.clear();
+      this.mirrors.clear();
+      this.layers.clear();
+      this.world.remove();
+      this.engine.viewports = this.engine.viewports.filter((viewport) => viewport !== this);
+    }
+  }
+
+  /**
+   * @function createVirtualControl
+   * @param {ReduxEngine} engine
+   * @param {Object} options - { x, y, size } of the control in pixels from the container's top left corner
+   * @returns @type {HTMLElement} - A round element in the container that takes touches and keeps them from the engine
+   * @private
+   */
+  function createVirtualControl(engine, options) {
+    const element = document.createElement("div");
+    element.style.position = "absolute";
+    element.style.left = options.x + "px";
+    element.style.top = options.y + "px";
+    element.style.width = options.size + "px";
+    element.style.height = options.size + "px";
+    element.style.borderRadius = "50%";
+    element.style.backgroundColor = options.color || "rgba(255, 255, 255, 0.25)";
+    element.style.pointerEvents = "auto";
+    element.style.touchAction = "none";
+    element.style.userSelect = "none";
+    element.style.zIndex = "1000";
+    // Touches on a control are not taps, swipes or pinches
+    ["touchstart", "touchmove", "touchend", "touchcancel", "mousedown", "mouseup"].forEach((type) => {
+      element.addEventListener(type, (event) => event.stopPropagation());
+    });
+    engine.container.appendChild(element);
+    return element;
+  }
+  
+  /**
+   * @class VirtualJoystick
+   * @description An on-screen stick for touch screens. While it is held the key input is pressed and the key_x and
+   * key_y analog inputs go from -1 to 1, so input maps can bind them like a gamepad stick
+   * @param {ReduxEngine} engine
+   * @param {Object} options
+   * @param {String} options.key - The input key, defaults to joystick
+   * @param {Number} options.x - The left edge in pixels from the container's left, defaults to 40
+   * @param {Number} options.y - The top edge in pixels from the container's top, defaults to 40 pixels above the bottom
+   * @param {Number} options.size - The diameter in pixels, defaults to 120
+   * @param {String} options.color - The color of the base
+   * @param {String} options.knobColor - The color of the knob
+   * @property {Number} valueX - The stick's horizontal value from -1 to 1
+   * @property {Number} valueY - The stick's vertical value from -1 to 1, down is positive
+   * @method destroy - Remove the joystick
+   * @example
+   * const stick = new VirtualJoystick(engine, { key: 'stick' });
+   * engine.input.bind('moveX', [{ negative: 'ArrowLeft', positive: 'ArrowRight' }, 'gamepad0_axis0', 'stick_x']);
+   * engine.input.bind('moveY', [{ negative: 'ArrowUp', positive: 'ArrowDown' }, 'gamepad0_axis1', 'stick_y']);
+   */
+  class VirtualJoystick {
+    constructor(engine, options = {}) {
+      this.engine = engine;
+      this.key = options.key || "joystick";
+      this.size = options.size || 120;
+      this.element = createVirtualControl(engine, {
+        x: options.x !== undefined ? options.x : 40,
+        y: options.y !== undefined ? options.y : engine.container.clientHeight - this.size - 40,
+        size: this.size,
+        color: options.color,
+      });
+      this.knob = document.createElement("div");
+      this.knob.style.position = "absolute";
+      this.knob.style.left = this.size / 4 + "px";
+      this.knob.style.top = this.size / 4 + "px";
+      this.knob.style.width = this.size / 2 + "px";
+      this.knob.style.height = this.size / 2 + "px";
+      this.knob.style.borderRadius = "50%";
+      this.knob.style.backgroundColor = options.knobColor || "rgba(255, 255, 255, 0.6)";
+      this.knob.style.pointerEvents = "none";
+      this.element.appendChild(this.knob);
+      this.pointerId = null; // The pointer moving the stick
+      this.valueX = 0;
+      this.valueY = 0;
+  
+      this.element.addEventListener("pointerdown", (event) => {
+        if (this.pointerId !== null) {
+          return;
+        }
+        this.pointerId = event.pointerId;
+        this.element.setPointerCapture(event.pointerId);
+        this.engine.setInputPressed(this.key, true);
+        this.move(event);
+      });
+      this.element.addEventListener("pointermove", (event) => {
+        if (event.pointerId === this.pointerId) {
+          this.move(event);
+        }
+      });
+      const release = (event) => {
+        if (event.pointerId === this.pointerId) {
+          this.pointerId = null;
+          this.setValue(0, 0);
+          this.engine.setInputPressed(this.key, false);
+        }
+      };
+      this.element.addEventListener("pointerup", release);
+      this.element.addEventListener("pointercancel", release);
+      this.setValue(0, 0);
+      engine.virtualControls.push(this);
+    }
+  
+    /**
+     * @method move
+     * @param {PointerEvent} event
+     * @description Point the stick at the pointer, no further than the edge of the base
+     * @private
+     */
+    move(event) {
+      const rect = this.element.getBoundingClientRect();
+      const radius = this.size / 2;
+      const dx = event.clientX - (rect.left + rect.width / 2);
+      const dy = event.clientY - (rect.top + rect.height / 2);
+      const scale = Math.min(1, radius / Math.max(Math.hypot(dx, dy), 1));
+      this.setValue((dx * scale) / radius, (dy * scale) / radius);
+    }
+  
+    /**
+     * @method setValue
+     * @param {Number} x
+     * @param {Number} y
+     * @private
+     */
+    setValue(x, y) {
+      this.valueX = x;
+      this.valueY = y;
+      this.engine.setAxisValue(this.key + "_x", x);
+      this.engine.setAxisValue(this.key + "_y", y);
+      this.knob.style.transform = `translate(${(x * this.size) / 2}px, ${(y * this.size) / 2}px)`;
+    }
+  
+    /**
+     * @method render
+     * @description Undo the camera's move so the joystick stays in place on screen, called by the engine every frame
+     */
+    render() {
+      const camera = this.engine.camera;
+      this.element.style.transform = camera ? `translate(${-camera.translateX}px, ${-camera.translateY}px)` : "";
+    }
+  
+    /**
+     * @method destroy
+     * @description Remove the joystick and release its input
+     */
+    destroy() {
+      this.setValue(0, 0);
+      this.engine.setInputPressed(this.key, false);
+      this.element.remove();
+      this.engine.virtualControls = this.engine.virtualControls.filter((control) => control !== this);
+    }
+  }
+  
+  /**
+   * @class VirtualButton
+   * @description An on-screen button for touch screens that presses an input key while it is held, so bindings and
+   * input maps treat it like a key or gamepad button
+   * @param {ReduxEngine} engine
+   * @param {Object} options
+   * @param {String} options.key - The input key the button presses, e.g. 'buttonA', or ' ' to act as the space bar
+   * @param {String} options.label - Text shown on the button
+   * @param {Number} options.x - The left edge in pixels from the container's left, defaults to 100 pixels from the right
+   * @param {Number} options.y - The top edge in pixels from the container's top, defaults to 100 pixels above the bottom
+   * @param {Number} options.size - The diameter in pixels, defaults to 64
+   * @param {String} options.color - The background color
+   * @method destroy - Remove the button
+   * @example
+   * new VirtualButton(engine, { key: 'buttonA', label: 'A' });
+   * engine.input.bind('jump', [' ', 'gamepad0_button0', 'buttonA']);
+   */
+  class VirtualButton {
+    constructor(engine, options = {}) {
+      if (!options.key) {
+        throw new Error("VirtualButton needs the input key it presses");
+      }
+      this.engine = engine;
+      this.key = options.key;
+      this.size = options.size || 64;
+      this.element = createVirtualControl(engine, {
+        x: options.x !== undefined ? options.x : engine.container.clientWidth - this.size - 36,
+        y: options.y !== undefined ? options.y : engine.container.clientHeight - this.size - 36,
+        size: this.size,
+        color: options.color,
+      });
+      this.element.style.display = "flex";
+      this.element.style.alignItems = "center";
+      this.element.style.justifyContent = "center";
+      this.element.textContent = options.label || "";
+      this.pointers = new Set(); // Pointers holding the button
+  
+      this.element.addEventListener("pointerdown", (event) => {
+        this.element.setPointerCapture(event.pointerId);
+        this.pointers.add(event.pointerId);
+        this.engine.setInputPressed(this.key, true);
+      });
+      const release = (event) => {
+        if (this.pointers.delete(event.pointerId) && !this.pointers.size) {
+          this.engine.setInputPressed(this.key, false);
+        }
+      };
+      this.element.addEventListener("pointerup", release);
+      this.element.addEventListener("pointercancel", release);
+      engine.virtualControls.push(this);
+    }
+  
+    /**
+     * @method render
+     * @description Undo the camera's move so the button stays in place on screen, called by the engine every frame
+     */
+    render() {
+      const camera = this.engine.camera;
+      this.element.style.transform = camera ? `translate(${-camera.translateX}px, ${-camera.translateY}px)` : "";
+    }
+  
+    /**
+     * @method destroy
+     * @description Remove the button and release its input
+     */
+    destroy() {
+      this.pointers.clear();
+      this.engine.setInputPressed(this.key, false);
+      this.element.remove();
+      this.engine.virtualControls = this.engine.virtualControls.filter((control) => control !== this);
+    }
+  }
+  
+  /**
+   * @function removeIds
+   * @param {HTMLElement} element
+   * @returns @type {HTMLElement} - The element, with the id removed from it and everything inside it so a copy does not
+   * take over getElementById or #id styles meant for the original
+   * @private
+   */
+  function removeIds(element) {
+    element.removeAttribute("id");
+    element.querySelectorAll("[id]").forEach((child) => {
+      child.removeAttribute("id");
+    });
+    return element;
+  }
+  
+  /**
+   * @function isColliding
+   * @param {*} elementA
+   * @param {*} elementB
+   * @param {*} sensitivity
+   * @returns  @type {String} - The direction of collision
+   * @description Check if two elements are colliding, this reads the DOM layout so prefer the scene's PhysicsWorld in the game loop
+   * @example
+   * // entities are instances of the Entity class
+   * this.player = new Entity(100, 100, 50, 50, 'blue');
+   * this.dummy = new Entity(100, 100, 50, 50, 'red');
+   * if(isColliding(this.player.element, this.dummy.element, 200) === 'left'){
+   * console.log('colliding')
+   * }
+   */
+  const isColliding = (elementA, elementB, sensitivity) => {
+    // Get the bounding rectangles of the two elements
+    const rectA = elementA.getBoundingClientRect();
+    const rectB = elementB.getBoundingClientRect();
+    // Calculate the vectors to check the direction of collision
+    const dx = (rectA.right + rectA.left) / 2 - (rectB.right + rectB.left) / 2;
+    const dy = (rectA.bottom + rectA.top) / 2 - (rectB.bottom + rectB.top) / 2;
+    const widthA = rectA.right - rectA.left;
+    const widthB = rectB.right - rectB.left;
+    const heightA = rectA.bottom - rectA.top;
+    const heightB = rectB.bottom - rectB.top;
+  
+    // Calculate the minimum distance for collision to occur
+    const minDistance = (widthA + widthB) / 2 / 2;
+  
+    // Adjust the minimum distance with sensitivity
+    const adjustedMinDistance = minDistance * sensitivity;
+  
+    // Check for collision and determine the direction
+    if (
+      Math.abs(dx) <= (widthA + widthB) / 2 + adjustedMinDistance &&
+      Math.abs(dy) <= (heightA + heightB) / 2 + adjustedMinDistance
+    ) {
+      const overlapX = (widthA + widthB) / 2 + adjustedMinDistance - Math.abs(dx);
+      const overlapY =
+        (heightA + heightB) / 2 + adjustedMinDistance - Math.abs(dy);
+  
+      if (overlapX >= overlapY) {
+        if (dy > 0) {
+          return "top";
+        }
+        return "bottom";
+      }
+      if (dx > 0) {
+        return "left";
+      }
+      return "right";
+    }
+  
+    // No collision detected
+    return null;
+  };
+  
+  /***
+   * @function parseTextureScript
+   * @param {*} textureScript
+   * @returns @type {Object} - The styles for the texture script
+   * @description Parse Redux Texture Scripts to CSS Browser Styles
+   * @example
+   * let textureScript = `
+   * w(100)
+   * h(100)
+   * bgColor(FF0000)
+   * `
+   * const styles = parseTextureScript(textureScript);
+   *
+   * for (const key in styles) {
+   *  if (styles.hasOwnProperty(key)) {
+   *   this.element.style.cssText += `${styles[key]};`;
+   *  }
+   * }
+   *
+   */
+  
+  function parseTextureScript(textureScript) {
+    const styles = {};
+    const lines = textureScript.split("\n");
+  
+    const functions = {
+      vector: (value, inset) => `border-radius: ${value}; padding: ${inset};`, // Set border radius
+      min: (value) => Math.min(value), // Set border radius
+      color: (value) => `#${value}`,
+      screenW: () => window.innerWidth,
+      screenH: () => window.innerHeight,
+      gradient: (direction, color1, color2) =>
+        `linear-gradient(${direction}, #${color1}, #${color2})`,
+      boxShadow: (x, y, blur, color) => `${x}px ${y}px ${blur}px #${color}`,
+      opacity: (value) => value,
+      rotate: (angle) => `rotate(${angle}deg)`,
+      scale: (value) => `scale(${value})`,
+      translate: (x, y) => `translate(${x}px, ${y}px)`,
+      font: (family, size) => `'${family}', ${size}`,
+      textShadow: (x, y, blur, color) => `${x}px ${y}px ${blur}px #${color}`,
+      w: (value) => `width: ${value};`,
+      tile: (value) => `background-repeat: repeat; background-size: ${value}px;`,
+      texture: (url) => `background-image: url(${url}); background-size: cover;`,
+      bgColor: (color) => `background-color: #${color};`,
+      bgGradient: (direction, color1, color2) =>
+        `background-image: linear-gradient(${direction}, #${color1}, #${color2});`,
+      bgGradientRadial: (color1, color2) =>
+        `background-image: radial-gradient(#${color1}, #${color2});`,
+      bgGradientRadialCircle: (color1, color2) =>
+        `background-image: radial-gradient(circle, #${color1}, #${color2});`,
+      bgGradientRadialEllipse: (color1, color2) =>
+        `background-image: radial-gradient(ellipse, #${color1}, #${color2});`,
+      bgGradientRadialClosestSide: (color1, color2) =>
+        `background-image: radial-gradient(closest-side, #${color1}, #${color2});`,
+    };
+  
+    lines.forEach((line) => {
+      const [key, value] = line
+        .split("(")
+        .map((item) => item.trim().replace(")", ""));
+      if (window[value]) {
+        value = window[value]();
+        console.log(value);
+      }
+      if (functions[key]) {
+        styles[key] = functions[key](...value.split(","));
+      }
+    });
+  
+    return styles;
+  }
+  
+  /**
+   * @class AnimationClip
+   * @description A sequence of spritesheet frames, played on an entity with Entity.playAnimation or by adding it as an
+   * animation state. Clips are stepped by the engine tick, so they pause with the game and run at any frame rate
+   * @param {Object} spritesheet - { url, width, height, frames } as loaded by the spritesheet asset type
+   * @param {Object} options
+   * @param {Array} options.frames - Frame names, or { name, duration, event } for frames with their own duration or an
+   * event. Defaults to every frame in the spritesheet. A frame may last 0 seconds but the clip as a whole may not
+   * @param {Number} options.fps - Frames per second for frames without a duration, defaults to 10
+   * @param {Boolean} options.loop - Start over after the last frame, defaults to true
+   * @param {Boolean} options.pingPong - Play forwards then backwards, a looping clip keeps going back and forth
+   * @param {Object} options.events - Event names by frame index, fired on the entity as the frame is shown
+   * @property {Array} frames - { name, x, y, w, h, duration, event } for each frame
+   * @property {Number} duration - The length of one pass through the frames in seconds
+   * @example
+   * const hero = await engine.assets.load('spritesheet', './hero.json');
+   * const walk = new AnimationClip(hero, {
+   *  frames: ['walk0', 'walk1', { name: 'walk2', duration: 0.2 }, 'walk3'],
+   *  fps: 12,
+   *  events: { 1: 'footstep', 3: 'footstep' },
+   * });
+   * player.addAnimationState('walk', walk);
+   * player.changeState('walk');
+   */
+  class AnimationClip {
+    constructor(spritesheet, options = {}) {
+      this.spritesheet = spritesheet;
+      const frameDuration = 1 / (options.fps || 10);
+      const events = options.events || {};
+      this.frames = (options.frames || Object.keys(spritesheet.frames)).map((frame, index) => {
+        const name = typeof frame === "string" ? frame : frame.name;
+        const rect = spritesheet.frames[name];
+        if (!rect) {
+          throw new Error(`Spritesheet has no frame "${name}"`);
+        }
+        const duration = frame.duration !== undefined ? frame.duration : frameDuration;
+        if (!(duration >= 0) || duration === Infinity) {
+          throw new Error(`Frame "${name}" needs a duration of 0 or more seconds, got ${duration}`);
+        }
+        return {
+          name: name,
+          x: rect.x,
+          y: rect.y,
+          w: rect.w,
+          h: rect.h,
+          duration: duration,
+          event: frame.event || events[index] || null,
+        };
+      });
+      if (!this.frames.length) {
+        throw new Error("An animation clip needs at least one frame");
+      }
+      // Frames can be skipped with a zero duration, but a clip that takes no time would never leave its frame loop
+      if (this.duration === 0) {
+        throw new Error("An animation clip needs at least one frame with a duration");
+      }
+      this.loop = options.loop !== undefined ? options.loop : true;
+      this.pingPong = !!options.pingPong;
+    }
+  
+    get duration() {
+      return this.frames.reduce((total, frame) => total + frame.duration, 0);
+    }
+  }
+  
+  /**
+   * @constant CONDITION_OPERATORS
+   * @description The comparisons an AnimationController condition can use as [operator, value]
+   */
+  const CONDITION_OPERATORS = {
+    "==": (a, b) => a === b,
+    "!=": (a, b) => a !== b,
+    ">": (a, b) => a > b,
+    ">=": (a, b) => a >= b,
+    "<": (a, b) => a < b,
+    "<=": (a, b) => a <= b,
+  };
+  
+  /**
+   * @class AnimationController
+   * @description State machine that picks an entity's animation state from parameters. Transitions are checked every
+   * tick in order and the first one whose conditions hold is taken, so gameplay code only sets parameters
+   * @param {Entity} entity - The entity to animate, the controller attaches itself as entity.animator
+   * @param {Object} options
+   * @param {Object} options.parameters - The starting parameter values, e.g. { speed: 0, grounded: true }
+   * @param {Object} options.states - AnimationClips or texture scripts by state name, added as the entity's animation states
+   * @param {Array} options.transitions - { from, to, when, blend, afterEnd } as for addTransition
+   * @param {String} options.initial - The state to start in, defaults to the first state, null leaves the entity as it is
+   * @property {Object} parameters - The current parameter values
+   * @property {String} state - The current state
+   * @method addState - Add a state
+   * @method addTransition - Add a transition between states
+   * @method set - Set a parameter
+   * @method get - Get a parameter
+   * @method trigger - Set a parameter that resets once a transition uses it
+   * @method play - Enter a state now
+   * @example
+   * new AnimationController(player, {
+   *  parameters: { speed: 0, grounded: true },
+   *  states: { idle: idleClip, run: runClip, jump: jumpClip, attack: attackClip },
+   *  transitions: [
+   *    { from: 'idle', to: 'run', when: { speed: ['>', 10] }, blend: 0.1 },
+   *    { from: 'run', to: 'idle', when: { speed: ['<=', 10] }, blend: 0.1 },
+   *    { from: '*', to: 'jump', when: { grounded: false } },
+   *    { from: 'jump', to: 'idle', when: { grounded: true } },
+   *    { from: '*', to: 'attack', when: { attack: true } },
+   *    { from: 'attack', to: 'idle', afterEnd: true },
+   *  ],
+   * });
+   * player.animator.set('speed', Math.abs(player.body.velocity.x));
+   * player.animator.trigger('attack');
+   */
+  class AnimationController {
+    constructor(entity, options = {}) {
+      this.entity = entity;
+      // Attach the controller so the entity evaluates it every tick
+      this.entity.animator = this;
+      this.parameters = { ...options.parameters };
+      this.triggers = new Set(); // Parameters set with trigger
+      this.transitions = [];
+      this.blends = []; // Fading copies of the previous state, see blendOut
+      this.state = null;
+      const states = options.states || {};
+      for (const name in states) {
+        this.addState(name, states[name]);
+      }
+      (options.transitions || []).forEach((transition) => {
+        this.addTransition(transition.from, transition.to, transition.when, transition);
+      });
+      const initial = options.initial !== undefined ? options.initial : Object.keys(states)[0];
+      if (initial) {
+        this.play(initial);
+      }
+    }
+  
+    /**
+     * @method addState
+     * @param {String} name
+     * @param {AnimationClip|String} motion - A clip to play or a texture script to apply in the state
+     */
+    addState(name, motion) {
+      this.entity.addAnimationState(name, motion);
+    }
+  
+    /**
+     * @method addTransition
+     * @param {String} from - The state the transition leaves, * for any state
+     * @param {String} to - The state the transition enters
+     * @param {Object|Function} when - Parameter values that must match, [operator, value] to compare with
+     * ==, !=, >, >=, < or <=, or a function given the parameters and the entity
+     * @param {Object} options
+     * @param {Number} options.blend - Seconds to fade the previous state out over the new one
+     * @param {Boolean} options.afterEnd - Wait for the current clip to end
+     * @example
+     * animator.addTransition('fall', 'idle', { grounded: true, speed: ['<', 10] }, { blend: 0.15 });
+     * animator.addTransition('*', 'hurt', (parameters, entity) => entity.state.health < parameters.lastHealth);
+     */
+    addTransition(from, to, when, options = {}) {
+      if (when && typeof when === "object") {
+        Object.keys(when).forEach((name) => {
+          const condition = when[name];
+          if (Array.isArray(condition) && !CONDITION_OPERATORS[condition[0]]) {
+            throw new Error(
+              `Unknown operator "${condition[0]}" for ${name} in the transition from "${from}" to "${to}", ` +
+                `use ${Object.keys(CONDITION_OPERATORS).join(", ")}`
+            );
+          }
+        });
+      }
+      this.transitions.push({
+        from: from,
+        to: to,
+        when: when || {},
+        blend: options.blend || 0,
+        afterEnd: !!options.afterEnd,
+      });
+    }
+  
+    /**
+     * @method set
+     * @param {String} name
+     * @param {*} value
+     */
+    set(name, value) {
+      this.parameters[name] = value;
+    }
+  
+    /**
+     * @method get
+     * @param {String} name
+     * @returns @type {*} - The parameter's value
+     */
+    get(name) {
+      return this.parameters[name];
+    }
+  
+    /**
+     * @method trigger
+     * @param {String} name
+     * @description Set a parameter to true until a transition with it in its conditions is taken
+     */
+    trigger(name) {
+      this.parameters[name] = true;
+      this.triggers.add(name);
+    }
+  
+    /**
+     * @method matches
+     * @param {Object} transition
+     * @returns @type {Boolean} - Whether the transition's conditions hold
+     * @private
+     */
+    matches(transition) {
+      if (transition.afterEnd && this.entity.animation && !this.entity.animation.finished) {
+        return false;
+      }
+      if (typeof transition.when === "function") {
+        return !!transition.when(this.parameters, this.entity);
+      }
+      return Object.keys(transition.when).every((name) => {
+        const condition = transition.when[name];
+        if (Array.isArray(condition)) {
+          return CONDITION_OPERATORS[condition[0]](this.parameters[name], condition[1]);
+        }
+        return this.parameters[name] === condition;
+      });
+    }
+  
+    /**
+     * @method play
+     * @param {String} name - The state to enter
+     * @param {Number} blend - Seconds to fade the previous state out over, defaults to none
+     * @description Enter a state now, without checking transitions
+     */
+    play(name, blend = 0) {
+      if (blend > 0 && this.state !== null) {
+        this.blendOut(blend);
+      }
+      this.state = name;
+      this.entity.changeState(name);
+    }
+  
+    /**
+     * @method blendOut
+     * @param {Number} duration - Seconds to fade over
+     * @description Cover the entity with a copy of how it looks now and fade the copy out
+     * @private
+     */
+    blendOut(duration) {
+      const style = this.entity.element.style;
+      const element = document.createElement("div");
+      element.style.position = "absolute";
+      element.style.left = "0px";
+      element.style.top = "0px";
+      element.style.width = "100%";
+      element.style.height = "100%";
+      element.style.pointerEvents = "none";
+      element.style.backgroundColor = style.backgroundColor;
+      element.style.backgroundImage = style.backgroundImage;
+      element.style.backgroundSize = style.backgroundSize;
+      element.style.backgroundPosition = style.backgroundPosition;
+      element.style.backgroundRepeat = style.backgroundRepeat;
+      this.entity.element.appendChild(element);
+      this.blends.push({ element: element, time: 0, duration: duration });
+    }
+  
+    /**
+     * @method update
+     * @param {Number} dt - The step length in seconds
+     * @description Take the first transition whose conditions hold and fade out blends, called by the entity every tick
+     */
+    update(dt) {
+      const transition = this.transitions.find(
+        (transition) =>
+          (transition.from === "*" || transition.from === this.state) && transition.to !== this.state && this.matches(transition)
+      );
+      if (transition) {
+        if (typeof transition.when !== "function") {
+          Object.keys(transition.when).forEach((name) => {
+            if (this.triggers.delete(name)) {
+              this.parameters[name] = false;
+            }
+          });
+        }
+        this.play(transition.to, transition.blend);
+      }
+  
+      this.blends = this.blends.filter((blend) => {
+        blend.time += dt;
+        if (blend.time >= blend.duration) {
+          blend.element.remove();
+          return false;
+        }
+        blend.element.style.opacity = `${1 - blend.time / blend.duration}`;
+        return true;
+      });
+    }
+  }
+  
+  class Entity extends EventEmitter {
+    constructor(x, y, width, height, color, initialState, textureScript) {
+      super();
+      this.x = x;
+      this.y = y;
+      // Position at the previous tick and on screen, used for interpolated rendering
+      this.prevX = x;
+      this.prevY = y;
+      this.renderX = x;
+      this.renderY = y;
+      this.width = width;
+      this.height = height;
+      this.renderWidth = width;
+      this.renderHeight = height;
+      this.color = color || "black";
+      this.element = document.createElement("div");
+      this.element.style.position = "absolute";
+      this.element.style.width = this.width + "px";
+      this.element.style.height = this.height + "px";
+      this.state = initialState || {};
+      this.animationStates = {};
+      this.animationState = null;
+      this.animation = null; // The AnimationClip playing, see playAnimation
+      this.animator = null; // AnimationController evaluated every tick
+      this.body = null; // Rfx body stepped by the scene
+      this.collider = null; // Collider checked by the scene's PhysicsWorld
+      this.applyTextureScript(textureScript);
+      this.element.style.backgroundColor = this.color;
+      this.element.style.left = this.x + "px";
+      this.element.style.top = this.y + "px";
+      this.element.style.pointerEvents = "none";
+      this.element.style.zIndex = "1"; // Ensure entities are displayed above UI elements
+      this.parseTextureScript = parseTextureScript;
+    }
+  
+    /**
+     * @method applyTextureScript
+     * @param {*} textureScript
+     * @returns  @type {Object} - The styles for the texture script
+     * @description Apply Redux Texture Scripts to the entity
+     * @example
+     * let textureScript = `
+     * w(100)
+     * h(100)
+     * bgColor(FF0000)
+     * `
+     * entity.applyTextureScript(textureScript);
+     */
+    applyTextureScript(textureScript) {
+      if (!textureScript) return;
+  
+      const styles = this.parseTextureScript(textureScript);
+  
+      for (const key in styles) {
+        if (styles.hasOwnProperty(key)) {
+          this.element.cssText = "    ";
+          this.element.style.cssText += `${styles[key]};`;
+        }
+      }
+    }
+    /**
+     * @method index
+     * @description Set the z-index of the entity - higher z-index means the entity is displayed above other entities
+     * @example
+     * entity.index(1);
+     * @param {*} I
+     */
+    index(I) {
+      this.element.style.zIndex = index;
+    }
+    /**
+     * @method addAnimationState
+     * @description Add an animation state to the entity and apply a texture script
+     * @param {*} stateName
+     * @param {String|AnimationClip} textureScript - A texture script, or a clip to play while in the state
+     * @example
+     * entity.addAnimationState('inPlace', `texture('https://picsum.photos/200/300')`);
+     * entity.addAnimationState('walk', new AnimationClip(heroSheet, { frames: ['walk0', 'walk1'] }));
+     * entity.changeState('inPlace');
+     */
+    addAnimationState(stateName, textureScript) {
+      this.animationStates[stateName] = textureScript;
+    }
+    /**
+     * @method changeState
+     * @description Change the animation state of the entity
+     * @param {*} stateName
+     * @returns
+     */
+    changeState(stateName) {
+      if (this.animationState === stateName) return;
+      this.animationState = stateName;
+      const state = this.animationStates[stateName];
+      if (state instanceof AnimationClip) {
+        this.playAnimation(state);
+      } else {
+        this.stopAnimation();
+        this.applyTextureScript(state);
+      }
+      this.render();
+    }
+  
+    /**
+     * @method playAnimation
+     * @param {AnimationClip} clip
+     * @param {Object} options
+     * @param {Number} options.speed - Playback speed, defaults to 1
+     * @param {Boolean} options.restart - Start over if the clip is already playing
+     * @description Show the clip's frames on the entity through its background, scaled to the entity's size
+     * @example
+     * player.playAnimation(attack, { speed: 1.5, restart: true });
+     */
+    playAnimation(clip, options = {}) {
+      if (this.animation && this.animation.clip === clip && !this.animation.finished && !options.restart) {
+        this.animation.speed = options.speed !== undefined ? options.speed : this.animation.speed;
+        return;
+      }
+      this.animation = {
+        clip: clip,
+        index: 0,
+        time: 0,
+        direction: 1,
+        speed: options.speed !== undefined ? options.speed : 1,
+        finished: false,
+        drawn: false,
+      };
+      this.element.style.backgroundImage = `url(${clip.spritesheet.url})`;
+      this.element.style.backgroundRepeat = "no-repeat";
+      this.fireAnimationEvent();
+    }
+  
+    /**
+     * @method stopAnimation
+     * @description Stop the playing clip, its current frame stays on the entity
+     */
+    stopAnimation() {
+      this.animation = null;
+    }
+  
+    /**
+     * @method updateAnimation
+     * @param {Number} dt - The step length in seconds
+     * @description Evaluate the entity's AnimationController and advance the playing clip, called by the engine every
+     * tick after the entity updates
+     */
+    updateAnimation(dt) {
+      if (this.animator) {
+        this.animator.update(dt);
+      }
+      const playback = this.animation;
+      if (!playback || playback.finished) {
+        return;
+      }
+      playback.time += dt * playback.speed;
+      while (playback.time >= playback.clip.frames[playback.index].duration) {
+        playback.time -= playback.clip.frames[playback.index].duration;
+        if (!this.nextAnimationFrame()) {
+          playback.finished = true;
+          playback.time = 0;
+          this.onAnimationEnd(playback.clip);
+          return;
+        }
+        playback.drawn = false;
+        this.fireAnimationEvent();
+        // An event handler may have started another clip
+        if (this.animation !== playback) {
+          return;
+        }
+      }
+    }
+  
+    /**
+     * @method nextAnimationFrame
+     * @returns @type {Boolean} - False when the clip has ended
+     * @private
+     */
+    nextAnimationFrame() {
+      const playback = this.animation;
+      const { frames, loop, pingPong } = playback.clip;
+      let next = playback.index + playback.direction;
+      if (next >= frames.length || next < 0) {
+        if (pingPong && next >= frames.length && frames.length > 1) {
+          playback.direction = -1;
+          next = playback.index - 1;
+        } else if (!loop) {
+          return false;
+        } else if (pingPong) {
+          playback.direction = 1;
+          next = Math.min(1, frames.length - 1);
+        } else {
+          next = 0;
+        }
+      }
+      playback.index = next;
+      return true;
+    }
+  
+    /**
+     * @method fireAnimationEvent
+     * @description Call onAnimationEvent if the frame being shown has an event
+     * @private
+     */
+    fireAnimationEvent() {
+      const frame = this.animation.clip.frames[this.animation.index];
+      if (frame.event) {
+        this.onAnimationEvent(frame.event, this.animation.clip);
+      }
+    }
+  
+    /**
+     * @method onAnimationEvent
+     * @param {String} name - The event name of the frame being shown
+     * @param {AnimationClip} clip - The clip playing
+     * @description Implement in derived entities, or assign, to react to events on animation frames
+     * @example
+     * player.onAnimationEvent = (name) => {
+     *  if (name === 'footstep') footstepSound.play();
+     * };
+     */
+    onAnimationEvent(name, clip) {
+      // Implement in derived entities
+    }
+  
+    /**
+     * @method onAnimationEnd
+     * @param {AnimationClip} clip - The clip that ended
+     * @description Implement in derived entities, or assign, to react when a clip that does not loop has played through
+     */
+    onAnimationEnd(clip) {
+      // Implement in derived entities
+    }
+  
+    /**
+     * @method drawAnimationFrame
+     * @description Show the playing clip's current frame, scaled so the frame fills the entity
+     * @private
+     */
+    drawAnimationFrame() {
+      const { clip, index } = this.animation;
+      const frame = clip.frames[index];
+      const scaleX = this.width / frame.w;
+      const scaleY = this.height / frame.h;
+      this.element.style.backgroundSize = `${clip.spritesheet.width * scaleX}px ${clip.spritesheet.height * scaleY}px`;
+      this.element.style.backgroundPosition = `${-frame.x * scaleX}px ${-frame.y * scaleY}px`;
+      this.animation.drawn = true;
+    }
+  
+    /**
+     * @method setAnimationState
+     * @param {*} state
+     * @description Set the animation state of the entity
+     */
+    static setAnimationState(state) {
+      this.animationState = state;
+    }
+    getAnimationState() {
+      return this.animationState;
+    }
+  
+    /**
+     * @method update
+     * @param {Number} dt - The step length in seconds
+     * @description Implement per-tick logic in derived entities
+     */
+    update(dt) {
+      // Implement per-tick logic in derived entities
+    }
+  
+    /**
+     * @method setCollider
+     * @param {Object} options - See Collider
+     * @returns @type {Collider} - The entity's collider
+     * @description Give the entity a collider so the scene's PhysicsWorld keeps it from overlapping other colliders
+     * @example
+     * wall.setCollider({ isStatic: true });
+     * player.setCollider();
+     */
+    setCollider(options) {
+      this.collider = new Collider(this, options);
+      return this.collider;
+    }
+  
+    /**
+     * @method onCollisionEnter
+     * @param {Entity} other - The entity collided with
+     * @param {Object} contact - { a: this entity, b: other, normal, depth, side, isTrigger }
+     * @description Implement in derived entities, or assign, to react when a collision starts
+     * @example
+     * coin.onCollisionEnter = (other, contact) => {
+     *  if (other === player) {
+     *    scene.entities.splice(scene.entities.indexOf(coin), 1);
+     *    engine.removeEntity(coin);
+     *  }
+     * };
+     */
+    onCollisionEnter(other, contact) {
+      // Implement in derived entities
+    }
+  
+    /**
+     * @method onCollisionStay
+     * @param {Entity} other - The entity still being touched
+     * @param {Object} contact - The contact this tick
+     * @description Implement in derived entities, or assign, to react every tick a collision continues
+     */
+    onCollisionStay(other, contact) {
+      // Implement in derived entities
+    }
+  
+    /**
+     * @method onCollisionExit
+     * @param {Entity} other - The entity no longer touched
+     * @param {Object} contact - The last contact between the two
+     * @description Implement in derived entities, or assign, to react when a collision ends
+     */
+    onCollisionExit(other, contact) {
+      // Implement in derived entities
+    }
+  
+    /**
+     * @method savePosition
+     * @description Remember the current position as the start point for interpolation,
+     * called by the engine before every tick
+     */
+    savePosition() {
+      this.prevX = this.x;
+      this.prevY = this.y;
+    }
+  
+    /**
+     * @method render
+     * @param {Number} alpha - Interpolation factor between the previous and current tick, defaults to 1
+     * @description Render the entity
+     * @example
+     * entity.render();
+     */
+  
+    render(alpha = 1) {
+      this.renderX = this.prevX + (this.x - this.prevX) * alpha;
+      this.renderY = this.prevY + (this.y - this.prevY) * alpha;
+      this.element.style.left = this.renderX + "px";
+      this.element.style.top = this.renderY + "px";
+      // Only a changed size is written, texture scripts may size the element themselves
+      if (this.renderWidth !== this.width || this.renderHeight !== this.height) {
+        this.renderWidth = this.width;
+        this.renderHeight = this.height;
+        this.element.style.width = this.width + "px";
+        this.element.style.height = this.height + "px";
+      }
+      if (this.animation && !this.animation.drawn) {
+        this.drawAnimationFrame();
+      }
+    }
+  
+    getState() {
+      return this.state;
+    }
+  
+    setState(newState) {
+      this.state = { ...this.state, ...newState };
+    }
+  
+    bind(key, callback) {
+      if (typeof callback === "function") {
+        this.state[key] = callback;
+      }
+    }
+  
+    /**
+     * @method Object
+     * @returns @type {HTMLElement} - The entity element
+     */
+    Object() {
+      return this.element;
+    }
+  
+    /**
+     * @method setPosition
+     * @param {*} x
+     * @param {*} y
+     * @description Set the position of the entity
+     * @example
+     * entity.setPosition(100, 100);
+     * entity.setPosition(entity.x + 10, entity.y);
+     */
+    setPosition(x, y) {
+      if (x && y) {
+        this.x = x;
+        this.y = y;
+        this.render();
+      }
+    }
+  }
+  
+  /**
+   * @class UI
+   * @description Base class for UI elements
+   * @param {Number} x - The x position of the UI element
+   * @param {Number} y - The y position of the UI element
+   * @param {Number} width - The width of the UI element
+   * @param {Number} height - The height of the UI element
+   * @param {String|HTMLElement} customContent - Custom content for the UI element
+   * @param {String} tag - The tag for the UI element
+   * @property {HTMLElement} element - The UI element
+   * @method on - Add an event listener to the UI element
+   * @example
+   * const uiElement = new UI(100, 100, 200, 50, div, 'startui');
+   * uiElement.on('click', () => {
+   * console.log('UI element clicked.');
+   * });
+   **/
+  class UI {
+    constructor(x, y, width, height, customContent, tag) {
+      this.element = document.createElement("div");
+      this.element.style.position = "absolute";
+      this.element.style.width = width + "px";
+      this.element.style.height = height + "px";
+      this.element.style.left = x + "px";
+      this.element.style.top = y + "px";
+      this.element.style.zIndex = "1"; // Ensure UI elements are displayed above entities
+      if (tag === undefined) {
+        throw new Error("UI element must have a tag");
+      }
+      this.element.id = tag;
+      this.element.style.pointerEvents = "none"; // Disable pointer events for UI elements
+      // Append custom content to the UI element
+      if (customContent) {
+        if (typeof customContent === "string") {
+          // If customContent is a string, treat it as HTML content
+          this.element.innerHTML = customContent;
+        } else if (customContent instanceof HTMLElement) {
+          // If customContent is an HTMLElement, append it directly
+          this.element.appendChild(customContent);
+        }
+      }
+    }
+  
+    /**
+     * @property {Number} x - The left position of the element in pixels, can be tweened
+     */
+    get x() {
+      return parseFloat(this.element.style.left) || 0;
+    }
+    set x(value) {
+      this.element.style.left = value + "px";
+    }
+  
+    /**
+     * @property {Number} y - The top position of the element in pixels, can be tweened
+     */
+    get y() {
+      return parseFloat(this.element.style.top) || 0;
+    }
+    set y(value) {
+      this.element.style.top = value + "px";
+    }
+  
+    /**
+     * @property {Number} width - The width of the element in pixels, can be tweened
+     */
+    get width() {
+      return parseFloat(this.element.style.width) || 0;
+    }
+    set width(value) {
+      this.element.style.width = value + "px";
+    }
+  
+    /**
+     * @property {Number} height - The height of the element in pixels, can be tweened
+     */
+    get height() {
+      return parseFloat(this.element.style.height) || 0;
+    }
+    set height(value) {
+      this.element.style.height = value + "px";
+    }
+  
+    /**
+     * @method require
+     * @param {String} url - The html file to load
+     * @param {AssetManager} assets - The asset store to load through, defaults to the engine's engine.assets when the
+     * page has a single engine, so views preloaded by a scene's manifest are reused
+     * @description Replace the content of the UI element with an external html file
+     * @example
+     * ui.require('./views/view.html', this.engine.assets);
+     */
+    async require(url, assets) {
+      try {
+        this.element.innerHTML = await (assets || engineAssets()).load("html", url);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  
+    /**
+     * @method on
+     * @param {Identifier} target - the target element id - useful for nested views and imported ui elements
+     * @param {Event} event - The event to listen for
+     * @param {Function} callback  - The callback function
+     * @description Add an event listener to the UI element
+     */
+  
+    on(target, event, callback) {
+      // wait for the element to be rendered
+      setTimeout(() => {
+        this.element.style.pointerEvents = "auto"; // Enable pointer events for UI elements
+        this.element.addEventListener(event, (e) => {
+          if (e.target.id === target) {
+            callback(e);
+          }
+        });
+      }, 0);
+    }
+    /**
+     * @method updateContent
+     * @param {*} content
+     * @description Update the content of the UI element
+     */
+    updateContent(content) {
+      this.element.innerHTML = content;
+    }
+  
+    /**
+     * @method Object
+     * @description Use to explicitly return the UI element
+     * @returns @type {HTMLElement} - The UI element
+     */
+    Object() {
+      return this.element;
+    }
+  }
+  
+  /**
+   * @class Timer
+   * @description A scheduled callback of a scene, see Scene.after and Scene.every
+   * @param {Number} delay - Milliseconds until the first call
+   * @param {Function} callback
+   * @param {Number} interval - Milliseconds between calls, null to call once
+   * @property {Number} remaining - Milliseconds until the next call
+   * @property {Number} count - How many times the callback has been called
+   * @property {Boolean} cancelled - Whether the timer is done
+   */
+  class Timer {
+    constructor(delay, callback, interval) {
+      this.remaining = delay;
+      this.callback = callback;
+      this.interval = interval;
+      this.count = 0;
+      this.cancelled = false;
+    }
+  
+    /**
+     * @method cancel
+     * @description Stop the timer before its next call
+     */
+    cancel() {
+      this.cancelled = true;
+    }
+  }
+  
+  /***
+   * @class Scene
+   * @description Base class for scenes
+   * @param {ReduxEngine} engine - The ReduxEngine instance
+   * @property {ReduxEngine} engine - The ReduxEngine instance
+   * @property {Array} entities - The entities in the scene
+   * @property {Object} customInputs - Custom input bindings for the scene
+   * @property {Array} uiElements - The UI elements in the scene
+   * @property {HTMLElement} element - The layer the scene's entities and UI elements render in
+   * @property {PhysicsWorld} physics - Resolves collisions between the scene's entities every tick
+   * @property {Array} tilemaps - The tilemaps in the scene
+   * @property {Array} timers - The scene's running timers
+   * @property {Array} subscriptions - The handlers added with listen, removed when the scene stops
+   * @property {Number} timeScale - How fast time passes in the scene, 0.5 for slow motion, defaults to 1. It scales the dt
+   * of the scene's tick and input callbacks, its timers and its tweens
+   * @property {TweenManager} tweens - The scene's running tweens, stepped by its tick and stopped when it stops
+   * @property {Object} manifest - The html views, images, texture files, audio and Tiled maps to preload before the scene starts
+   * @property {Number} zIndex - The z-order of the scene's layer, defaults to its position in the scene stack
+   * @property {Boolean} updateBelow - Whether scenes underneath keep updating while this scene is on top
+   * @property {Boolean} renderBelow - Whether scenes underneath stay visible while this scene is on top
+   * @property {Boolean} inputBelow - Whether scenes underneath receive input while this scene is on top
+   * @method addUIElement - Add a UI element to the scene
+   * @method removeUIElements - Remove all UI elements from the scene
+   * @method removeUIElement - Remove a UI element from the scene
+   * @method uiLogic - Implement UI logic in derived scenes
+   * @method tick - Run the scene's update pipeline for one fixed step
+   * @method preUpdate - Implement logic that runs before the scene updates
+   * @method update - Implement per-tick logic in derived scenes
+   * @method postUpdate - Implement logic that runs after entities and physics have updated
+   * @method start - Start the scene
+   * @method stop - Stop the scene
+   * @method getManifest - List the scene's manifest as { type, url } entries
+   * @method loadProgress - Implement loading feedback in derived scenes
+   * @method loadAsset - Load an asset that the scene keeps in use until it stops
+   * @method after - Call a function once after a delay in game time
+   * @method every - Call a function repeatedly in game time
+   * @method wait - Wait for a delay in game time
+   * @method cancelTimers - Cancel every timer of the scene
+   * @method tween - Animate numeric properties on the scene's time
+   * @method listen - Add an event handler to anything that is removed when the scene stops
+   * @method addTilemap - Add a tilemap to the scene
+   * @method removeTilemap - Remove a tilemap from the scene
+   * @method addTiledMap - Add a Tiled map's tilemap, entities and spawn points to the scene
+   * @method render - Draw the parts of the scene that depend on the view
+   * @method raycast - The nearest entity along a ray
+   * @method queryRect - The entities overlapping a rectangle
+   * @method queryPoint - The entities containing a point
+   * @method coveredLogic - Implement logic for when another scene is pushed on top
+   * @method uncoveredLogic - Implement logic for when the scene on top is popped
+   * @method startLogic - Implement custom start logic in derived scenes
+   * @method inputHandler - Implement custom input setup in derived scenes
+   * @method addCustomInput - Add a custom input binding to the scene
+   * @method cleanupInputs - Remove custom input bindings from the scene
+   * @example
+   * class StartMenuScene extends Scene {
+   *  constructor(engine) {
+   *     super(engine);
+   * }
+   * startLogic() {
+   *    console.log('StartMenuScene: Scene-specific logic here.');
+   * }
+   * uiLogic() {
+   *   console.log('StartMenuScene: UI logic here.');
+   * }
+   * update(dt) {
+   *   console.log('StartMenuScene: runs every tick.', dt);
+   * }
+   * inputHandler() {
+   *   this.addCustomInput('ArrowRight', () => {
+   *     console.log('StartMenuScene: ArrowRight pressed.');
+   *  }, () => {
+   *    console.log('StartMenuScene: ArrowRight released.');
+   * });
+   * }
+   * }
+   *
+   */
+  class Scene extends EventEmitter {
+    constructor(engine) {
+      super();
+      /**
+       * @property {ReduxEngine} engine - The ReduxEngine instance
+       * @param {String} containerId - The id of the container element
+       * @param {Number} width - The width of the container element
+       * @param {Number} height - The height of the container element
+       * @param {Number} frameRate - The frame rate of the game
+       * @property {HTMLElement} container - The container element
+       * @property {Array} entities - The entities in the game
+       * @property {Boolean} isRunning - The running state of the game
+       * @property {Function} updateCallback - The update callback function
+       * @property {Number} frameRate - The frame rate of the game
+       * @property {Number} frameInterval - The frame interval of the game
+       * @property {Number} lastFrameTime - The last frame time of the game
+       * @property {Object} keyStates - The key states of the game
+       * @property {HTMLElement} fpsElement - The FPS element of the game
+       * @property {Scene} currentScene - The current scene of the game
+       * @property {Object} scenes - The scenes of the game
+       * @property {Camera} camera - The camera of the game
+       * @method setUpdateCallback - Set the update callback function
+       * @object {Object} inputState - The engine input state
+       * @method setUpdateCallback - Set the update callback function
+       * @method addEntity - Add an entity to the game
+       * @method removeEntity - Remove an entity from the game
+       * @method clearEntities - Clear all entities from the game
+       * @method addScene - Add a scene to the game
+       * @method startScene - Start a scene in the game
+       * @method handleInput - Handle input for the game
+       * @method removeInputListeners - Remove input listeners from the game
+       * @method logFps - Log the FPS of the game
+       * @method loop - The game loop
+       * @method start - Start the game
+       * @method setupInputListeners - Setup input listeners for the game
+       * @private
+       */
+      this.engine = engine;
+      this.entities = [];
+      this.customInputs = {}; // Custom input bindings for the scene
+      this.uiElements = [];
+      // Assets to preload before the scene starts, see getManifest
+      this.manifest = { html: [], images: [], textures: [], audio: [], maps: [] };
+      this.retainedAssets = []; // Asset urls released from engine.assets when the scene stops
+      this.physics = new PhysicsWorld(this);
+      this.tilemaps = [];
+      this.timers = [];
+      this.tweens = new TweenManager();
+      this.timeScale = 1;
+      this.subscriptions = []; // Removers of the handlers added with listen
+      this.handlersAtStart = new Map(); // The handlers the scene and its entities had before it started, by emitter
+      // Scene stack settings, see ReduxEngine.pushScene
+      this.zIndex = null;
+      this.updateBelow = false;
+      this.renderBelow = true;
+      this.inputBelow = false;
+  
+      this.element = document.createElement("div");
+      this.element.style.position = "absolute";
+      this.element.style.left = "0px";
+      this.element.style.top = "0px";
+      this.element.style.width = "100%";
+      this.element.style.height = "100%";
+      this.element.style.pointerEvents = "none"; // Let clicks reach the scenes below
+    }
+    /**
+     * @method addUIElement
+     * @description Allows you to add ui elements to the scene
+     * @param {*} uiElement
+     * @typedef {Object} uiElement
+     * @property {HTMLElement} element - The UI element
+     * @property {Function} on - Add an event listener to the UI element
+     * @example
+     * const uiElement = new UI(100, 100, 200, 50, div, 'startui');
+     * this.addUIElement(uiElement);
+     *
+     */
+  
+    addUIElement(uiElement = Object) {
+      this.uiElements.push(uiElement);
+      this.element.appendChild(uiElement.element);
+    }
+    /**
+     * @method removeUIElements
+     * @description Removes all UI elements from the scene
+     * @example
+     * this.removeUIElements();
+     */
+    removeUIElements() {
+      this.uiElements.forEach((uiElement) => {
+        uiElement.element.remove();
+      });
+      this.uiElements = [];
+    }
+    /**
+     * @method removeUIElement
+     * @description Removes a UI element from the scene
+     * @param {*} uiElement
+     * @example
+     * this.removeUIElement(uiElement);
+     *
+     * **/
+    removeUIElement(uiElement) {
+      this.uiElements = this.uiElements.filter(
+        (element) => element !== uiElement
+      );
+      uiElement.element.remove();
+    }
+  
+    /**
+     * @method uiLogic
+     * @description Implement UI logic in derived scenes this will be called when the scene is started
+     * @example
+     * uiLogic() {
+     *  this.startui.on('click', () => {
+     *   this.engine.startScene('Game');
+     * });
+     */
+    uiLogic() {
+      // Implement UI logic here
+    }
+    /**
+     * @method tick
+     * @param {Number} dt - The step length in seconds
+     * @description Run the scene's update pipeline for one fixed step, called by the engine.
+     * The order is timers, tweens, preUpdate, update, each entity's update and animation, attached Rfx bodies, collisions,
+     * then postUpdate
+     */
+    tick(dt) {
+      this.updateTimers(dt);
+      this.tweens.update(dt);
+      this.preUpdate(dt);
+      this.update(dt);
+  
+      this.entities.forEach((entity) => {
+        entity.update(dt);
+        entity.updateAnimation(dt);
+      });
+  
+      this.entities.forEach((entity) => {
+        if (entity.body) {
+          entity.body.update(dt);
+        }
+      });
+  
+      this.physics.step(dt);
+  
+      this.postUpdate(dt);
+    }
+  
+    /**
+     * @method preUpdate
+     * @param {Number} dt - The step length in seconds
+     * @description Implement logic that runs before the scene and its entities update
+     */
+    preUpdate(dt) {
+      // Implement pre-update logic in derived scenes
+    }
+  
+    /**
+     * @method update
+     * @param {Number} dt - The step length in seconds
+     * @description Implement per-tick logic in derived scenes, by default this calls updateCallback
+     * @example
+     * update(dt) {
+     *  this.player.setPosition(this.player.x + 300 * dt, this.player.y);
+     * }
+     */
+    update(dt) {
+      this.updateCallback(this.entities, dt);
+    }
+  
+    /**
+     * @method updateCallback
+     * @param {Array} entities - The entities in the scene
+     * @param {Number} dt - The step length in seconds
+     * @description Implement per-tick logic in derived scenes, called from update
+     */
+    updateCallback(entities, dt) {
+      // Implement per-tick logic in derived scenes
+    }
+  
+    /**
+     * @method postUpdate
+     * @param {Number} dt - The step length in seconds
+     * @description Implement logic that runs after entities and physics have updated
+     */
+    postUpdate(dt) {
+      // Implement post-update logic in derived scenes
+    }
+  
+    /**
+     * @method start
+     * @description Start the scene
+     */
+    start() {
+      this.rememberHandlers();
+      this.getManifest().forEach(({ url }) => {
+        this.retainAsset(url);
+      });
+      this.engine.container.appendChild(this.element);
+      this.entities.forEach((entity) => {
+        this.engine.addEntity(entity, this.element);
+      });
+  
+      this.inputHandler(); // Call the custom input setup for the scene
+      this.startLogic(); // Call the custom start logic for the scene
+      this.uiLogic(); // Call the custom UI logic for the scene
+    }
+    /**
+     * @method stop
+     * @description Stop the scene
+     */
+  
+    stop() {
+      this.entities.forEach((entity) => {
+        this.engine.removeEntity(entity);
+      });
+  
+      this.cleanupInputs(); // Remove custom input bindings for the scene
+      this.cancelTimers();
+      this.tweens.running.forEach((tween) => {
+        tween.stop();
+      });
+      this.tweens.running = [];
+      this.removeSubscriptions();
+      this.removeUIElements();
+      this.element.remove();
+      this.retainedAssets.forEach((url) => {
+        this.engine.assets.release(url);
+      });
+      this.retainedAssets = [];
+      this.emit("sceneStop", this);
+      this.releaseHandlers();
+    }
+  
+    /**
+     * @method getManifest
+     * @returns @type {Array} - The manifest as { type, url } entries for AssetManager.preload
+     * @example
+     * class GameScene extends Scene {
+     *  constructor(engine) {
+     *    super(engine);
+     *    this.manifest = {
+     *      html: ['./views/hud.html'],
+     *      images: ['https://picsum.photos/200/300'],
+     *      textures: ['./player.texture'],
+     *      audio: ['./music.mp3'],
+     *      maps: ['./levels/1.tmj'],
+     *    };
+     *  }
+     * }
+     */
+    getManifest() {
+      const types = { html: "html", images: "image", textures: "texture", audio: "audio", maps: "tiled" };
+      const assets = [];
+      for (const key in types) {
+        (this.manifest[key] || []).forEach((url) => {
+          assets.push({ type: types[key], url: url });
+        });
+      }
+      return assets;
+    }
+  
+    /**
+     * @method after
+     * @param {Number} ms - The delay in milliseconds of game time
+     * @param {Function} callback - Called with the timer
+     * @returns @type {Timer} - The timer, cancel it with timer.cancel()
+     * @description Call a function once after a delay. The delay only passes while the scene updates, scaled by
+     * timeScale, and the timer is cancelled when the scene stops
+     * @example
+     * this.after(3000, () => {
+     *  this.engine.replaceScene('GameOver');
+     * });
+     */
+    after(ms, callback) {
+      const timer = new Timer(ms, callback, null);
+      this.timers.push(timer);
+      return timer;
+    }
+  
+    /**
+     * @method every
+     * @param {Number} ms - The interval in milliseconds of game time
+     * @param {Function} callback - Called with the timer, timer.count is how many times it has been called before
+     * @returns @type {Timer} - The timer, cancel it with timer.cancel()
+     * @description Call a function every interval until the timer is cancelled or the scene stops
+     * @example
+     * this.every(1000, (timer) => {
+     *  this.spawnEnemy();
+     *  if (timer.count === 9) timer.cancel();
+     * });
+     */
+    every(ms, callback) {
+      if (!(ms > 0)) {
+        throw new Error("The interval of a repeating timer must be more than 0");
+      }
+      const timer = new Timer(ms, callback, ms);
+      this.timers.push(timer);
+      return timer;
+    }
+  
+    /**
+     * @method wait
+     * @param {Number} ms - The delay in milliseconds of game time
+     * @returns @type {Promise} - Resolves after the delay. It never settles if the scene stops first, so code
+     * awaiting it does not run on a stopped scene
+     * @example
+     * async startLogic() {
+     *  this.banner.updateContent('Ready');
+     *  await this.wait(1000);
+     *  this.banner.updateContent('Go!');
+     * }
+     */
+    wait(ms) {
+      return new Promise((resolve) => {
+        this.after(ms, () => resolve());
+      });
+    }
+  
+    /**
+     * @method tween
+     * @param {Object} target - An entity, UI element or any object with numeric properties
+     * @param {Object} props - The values to animate to
+     * @param {Object} options - See Tween
+     * @returns @type {Tween} - The running tween, which can be awaited
+     * @description Like ReduxEngine.tween, but stepped by the scene's tick, so it follows the scene's timeScale, holds
+     * still while the scene does not update and is stopped when the scene stops
+     * @example
+     * this.timeScale = 0.5;
+     * this.tween(door, { y: -100 }, { duration: 500 }); // takes a second
+     */
+    tween(target, props, options) {
+      return this.tweens.add(new Tween(target, props, options));
+    }
+  
+    /**
+     * @method listen
+     * @param {EventEmitter|EventTarget} target - The engine, an entity, this or another scene, or a DOM element
+     * @param {String} event
+     * @param {Function} handler
+     * @returns @type {Function} - Removes the handler early
+     * @description Add an event handler for as long as the scene runs, it is removed when the scene stops. Handlers
+     * added to the scene or its entities with on or once while it runs are removed too, listen is needed for the
+     * engine, other scenes and DOM elements
+     * @example
+     * startLogic() {
+     *  this.listen(this.engine, 'input', ({ key, pressed }) => {
+     *    if (key === 'Escape' && pressed) this.engine.pushScene('PauseMenu');
+     *  });
+     *  this.listen(this.player, 'collision', (other) => this.hit(other));
+     * }
+     */
+    listen(target, event, handler) {
+      let remove;
+      if (target instanceof EventEmitter) {
+        remove = target.on(event, handler);
+      } else {
+        target.addEventListener(event, handler);
+        remove = () => target.removeEventListener(event, handler);
+      }
+      const unsubscribe = () => {
+        this.subscriptions = this.subscriptions.filter((other) => other !== unsubscribe);
+        remove();
+      };
+      this.subscriptions.push(unsubscribe);
+      return unsubscribe;
+    }
+  
+    /**
+     * @method rememberHandlers
+     * @description Note the handlers the scene and its entities have before the scene starts, so the ones added while
+     * it runs can be told apart and removed when it stops
+     * @private
+     */
+    rememberHandlers() {
+      this.handlersAtStart = new Map();
+      [this].concat(this.entities).forEach((emitter) => {
+        const handlers = {};
+        Object.keys(emitter.eventHandlers).forEach((event) => {
+          handlers[event] = emitter.eventHandlers[event].slice();
+        });
+        this.handlersAtStart.set(emitter, handlers);
+      });
+    }
+  
+    /**
+     * @method releaseHandlers
+     * @description Remove every handler added to the scene or its entities while the scene ran, with on, once or
+     * listen. Entities created while the scene ran lose all their handlers. Called when the scene stops
+     * @private
+     */
+    releaseHandlers() {
+      [this].concat(this.entities).forEach((emitter) => {
+        const before = this.handlersAtStart.get(emitter) || {};
+        Object.keys(emitter.eventHandlers).forEach((event) => {
+          const kept = emitter.eventHandlers[event].filter((handler) => (before[event] || []).includes(handler));
+          if (kept.length) {
+            emitter.eventHandlers[event] = kept;
+          } else {
+            delete emitter.eventHandlers[event];
+          }
+        });
+      });
+      this.handlersAtStart = new Map();
+    }
+  
+    /**
+     * @method removeSubscriptions
+     * @description Remove every handler added with listen, called when the scene stops
+     * @private
+     */
+    removeSubscriptions() {
+      this.subscriptions.slice().forEach((unsubscribe) => {
+        unsubscribe();
+      });
+    }
+  
+    /**
+     * @method cancelTimers
+     * @description Cancel every timer of the scene, called when the scene stops
+     */
+    cancelTimers() {
+      this.timers.forEach((timer) => {
+        timer.cancel();
+      });
+      this.timers = [];
+    }
+  
+    /**
+     * @method updateTimers
+     * @param {Number} dt - The step length in seconds
+     * @description Advance the scene's timers and call the ones that are due
+     * @private
+     */
+    updateTimers(dt) {
+      // Timers added by callbacks start counting on the next tick
+      this.timers.slice().forEach((timer) => {
+        timer.remaining -= dt * 1000;
+        while (!timer.cancelled && timer.remaining <= 0) {
+          timer.callback(timer);
+          timer.count++;
+          if (timer.interval === null) {
+            timer.cancelled = true;
+          } else {
+            timer.remaining += timer.interval;
+          }
+        }
+      });
+      this.timers = this.timers.filter((timer) => !timer.cancelled);
+    }
+  
+    /**
+     * @method addTilemap
+     * @param {Tilemap} tilemap
+     * @description Add a tilemap to the scene, its solid tiles collide with the scene's entities
+     * @example
+     * this.level = new Tilemap({ tileWidth: 32, tileHeight: 32, tilesets: [...], layers: [...] });
+     * this.addTilemap(this.level);
+     */
+    addTilemap(tilemap) {
+      this.tilemaps.push(tilemap);
+      this.element.appendChild(tilemap.element);
+    }
+  
+    /**
+     * @method removeTilemap
+     * @param {Tilemap} tilemap
+     * @description Remove a tilemap from the scene
+     */
+    removeTilemap(tilemap) {
+      this.tilemaps = this.tilemaps.filter((other) => other !== tilemap);
+      tilemap.element.remove();
+    }
+  
+    /**
+     * @method addTiledMap
+     * @param {Object} map - A map from the tiled asset loader
+     * @param {Object} options
+     * @param {Object} options.types - Functions that create the entity for an object type, given the object's
+     * { id, name, type, x, y, width, height, gid, properties }
+     * @returns @type {Object} - { tilemap, entities, spawns }
+     * @description Add a map made in the Tiled editor. Tile layers become a Tilemap, objects become entities with their
+     * custom properties merged into their state. Point objects and objects of type spawn are not created, they are
+     * returned as spawns by name. Objects of type collision, with a solid property or on a layer with a collides property
+     * get a static collider of their shape, objects with a trigger property get a trigger
+     * @example
+     * startLogic() {
+     *  const { spawns } = this.addTiledMap(this.engine.assets.get('./levels/1.tmj'), {
+     *    types: {
+     *      coin: (object) => new Coin(object.x, object.y),
+     *    },
+     *  });
+     *  this.player.x = spawns.player.x;
+     *  this.player.y = spawns.player.y;
+     * }
+     */
+    addTiledMap(map, options = {}) {
+      const types = options.types || {};
+      const tilemap = Tilemap.fromTiled(map);
+      const entities = [];
+      const spawns = {};
+      this.addTilemap(tilemap);
+      map.layers.forEach((layer) => {
+        if (layer.type !== "objectgroup") {
+          return;
+        }
+        layer.objects.forEach((object) => {
+          if (object.point || object.type === "spawn") {
+            spawns[object.name || object.id] = { x: object.x, y: object.y, properties: object.properties };
+            return;
+          }
+          entities.push(createTiledEntity(object, layer, tilemap, types[object.type]));
+        });
+      });
+      entities.forEach((entity) => {
+        this.entities.push(entity);
+        // Entities of a running scene are added now, otherwise when it starts
+        if (this.element.parentNode) {
+          this.engine.addEntity(entity, this.element);
+        }
+      });
+      return { tilemap: tilemap, entities: entities, spawns: spawns };
+    }
+  
+    /**
+     * @method render
+     * @param {Object} view - The { x, y, width, height } of the world on screen
+     * @description Draw the parts of the scene that depend on the view, called by the engine every frame while the scene is visible
+     */
+    render(view) {
+      this.tilemaps.forEach((tilemap) => {
+        tilemap.render(view);
+      });
+    }
+  
+    /**
+     * @method raycast
+     * @param {Object} origin - { x, y } the ray starts at
+     * @param {Object} direction - { x, y } the ray points in
+     * @param {Number} maxDistance - How far the ray reaches, defaults to Infinity
+     * @param {Number} mask - The layer bits the ray can hit, defaults to every layer
+     * @param {Entity|Array} ignore - An entity or a list of entities the ray passes through
+     * @returns @type {Object|null} - The nearest hit { entity, point, normal, distance }, or null
+     * @description Cast a ray against the scene's entities, see PhysicsWorld.raycast
+     * @example
+     * // the ray starts inside the enemy, so it has to ignore it
+     * const hit = this.raycast(enemy, { x: player.x - enemy.x, y: player.y - enemy.y }, Infinity, undefined, enemy);
+     * const canSeePlayer = hit && hit.entity === player;
+     */
+    raycast(origin, direction, maxDistance, mask, ignore) {
+      return this.physics.raycast(origin, direction, maxDistance, mask, ignore);
+    }
+  
+    /**
+     * @method queryRect
+     * @returns @type {Array} - The entities overlapping the rectangle, see PhysicsWorld.queryRect
+     */
+    queryRect(x, y, width, height, mask) {
+      return this.physics.queryRect(x, y, width, height, mask);
+    }
+  
+    /**
+     * @method queryPoint
+     * @returns @type {Array} - The entities containing the point, see PhysicsWorld.queryPoint
+     */
+    queryPoint(x, y, mask) {
+      return this.physics.queryPoint(x, y, mask);
+    }
+  
+    /**
+     * @method loadAsset
+     * @param {String} type - The asset type, see AssetManager.load
+     * @param {String} url
+     * @returns @type {Promise} - Resolves with the asset
+     * @description Load an asset through engine.assets and keep it in use until the scene stops
+     * @example
+     * startLogic() {
+     *  this.loadAsset('texture', './boss.texture').then((textureScript) => {
+     *    this.boss.addAnimationState('angry', textureScript);
+     *  });
+     * }
+     */
+    loadAsset(type, url) {
+      return this.engine.assets.load(type, url).then((asset) => {
+        this.retainAsset(url);
+        return asset;
+      });
+    }
+  
+    /**
+     * @method retainAsset
+     * @param {String} url
+     * @description Retain an asset in engine.assets once for this scene, released when the scene stops
+     * @private
+     */
+    retainAsset(url) {
+      if (!this.retainedAssets.includes(url)) {
+        this.retainedAssets.push(url);
+        this.engine.assets.retain(url);
+      }
+    }
+  
+    /**
+     * @method loadProgress
+     * @param {Number} loaded - The number of assets loaded so far
+     * @param {Number} total - The number of assets being loaded
+     * @param {String} url - The asset that just finished
+     * @description Implement loading feedback in derived scenes, called while this scene preloads and,
+     * for the loading scene, while the scene it stands in for preloads
+     */
+    loadProgress(loaded, total, url) {
+      // Implement loading feedback in derived scenes
+    }
+  
+    /**
+     * @method coveredLogic
+     * @param {Scene} scene - The scene pushed on top
+     * @description Implement logic for when another scene is pushed on top of this one, e.g. pausing music
+     */
+    coveredLogic(scene) {
+      // Implement covered logic in derived scenes
+    }
+  
+    /**
+     * @method uncoveredLogic
+     * @param {Scene} scene - The scene that was popped
+     * @description Implement logic for when the scene on top of this one is popped
+     */
+    uncoveredLogic(scene) {
+      // Implement uncovered logic in derived scenes
+    }
+  
+    /**
+     * @method startLogic
+     * @description Implement custom start logic in derived scenes
+     */
+    startLogic() {
+      // Implement custom start logic in derived scenes
+    }
+  
+    /**
+     * @method inputHandler
+     * @description Implement custom input setup in derived scenes
+     */
+    inputHandler() {
+      // Implement custom input setup in derived scenes
+    }
+  
+    /**
+     * @method addCustomInput
+     * @param {*} key
+     * @param {*} startCallback - Called with dt every tick the input is held, or once when it is pressed
+     * @param {*} stopCallback - Called with dt once when the input is released
+     * @param {Object} options
+     * @param {String} options.trigger - hold (default) to call startCallback every tick while held, press to call it once per press
+     * @description Add a custom input binding to the scene
+     * @key {String}
+     * - Mouse: 'mouse0', 'mouse1', 'mouse2', 'getMousePosition', gamepad: gampad[INDEX]_button[INDEX], gamepad[INDEX]_axis, keyboard: 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Space', 'Enter', 'Escape'
+     * @example
+     * this.addCustomInput('ArrowRight', () => {
+     * console.log('StartMenuScene: ArrowRight pressed.');
+     * }, () => {
+     * console.log('StartMenuScene: ArrowRight released.');
+     * });
+     *
+     * this.addCustomInput('gamepad0_button0', (e) => {
+     * console.log('gamepad0_button0 pressed.');
+     * }, () => {});
+     *
+     * this.addCustomInput('gamepad0_axis', (e) => {
+     *  SuperClass = engine // as per example
+     *  e = this.SuperClass.inputState.gamepad[0].axis[0]
+     *  console.log(e)
+     * }, () => {});
+     *
+     * this.addCustomInput('mouse0', (e) => {
+     *  console.log(e)
+     * }, () => {
+     *  console.log(`mouse0 released`)
+     * });
+     *
+     * this.addCustomInput(' ', () => {
+     *  this.jump();
+     * }, null, { trigger: 'press' });
+     *
+     *
+     *
+     */
+    addCustomInput(key, startCallback, stopCallback, options = {}) {
+      this.customInputs[key] = {
+        startCallback: startCallback,
+        stopCallback: stopCallback,
+        trigger: options.trigger || "hold",
+      };
+    }
+  
+    /**
+     * @method handleInputs
+     * @param {Number} dt - The step length in seconds
+     * @description Run the scene's input bindings for one tick, called by the engine while the scene receives input
+     * @private
+     */
+    handleInputs(dt) {
+      Object.keys(this.customInputs).forEach((key) => {
+        // A callback may have removed this binding or stopped the scene
+        const input = this.customInputs[key];
+        if (!input) {
+          return;
+        }
+        const started = input.trigger === "press" ? this.engine.justPressed(key) : this.engine.isInputPressed(key);
+        if (started && input.startCallback) {
+          input.startCallback(dt);
+        }
+        // The start callback may have removed the binding too
+        if (this.customInputs[key] === input && this.engine.justReleased(key) && input.stopCallback) {
+          input.stopCallback(dt);
+        }
+      });
+    }
+  
+    /**
+     * @method cleanupInputs
+     * @description Remove custom input bindings from the scene
+     */
+    cleanupInputs() {
+      this.customInputs = {};
+    }
+  }
+   
+  /**
+   * @function require
+   * @param {String} PATH - The html or texture file to load
+   * @param {AssetManager} assets - The asset store to load through, defaults to the engine's engine.assets when the
+   * page has a single engine
+   * @returns @type {Promise} - Resolves with the file's text
+   * @description Load an html view or texture script as text
+   * @example
+   * const textureScript = await require('./player.texture', engine.assets);
+   * entity.addAnimationState('idle', textureScript);
+   */
+  function require(PATH, assets) {
+    if (!PATH.endsWith(".html") && !PATH.endsWith(".texture")) {
+      throw new Error("Only html and texture files are supported");
+    }
+    return (assets || engineAssets()).load(PATH);
+  }
+  
+  /**
+   * @class AssetLoadError
+   * @description Thrown when an asset fails to load
+   * @param {String} url - The asset that failed
+   * @param {String} type - The asset type
+   * @param {Error} cause - The underlying error, if any
+   * @property {String} url - The asset that failed
+   * @property {String} type - The asset type
+   * @property {Error} cause - The underlying error
+   * @example
+   * engine.assets.load('image', './missing.png').catch((error) => {
+   *  if (error instanceof AssetLoadError) {
+   *    console.log(error.url);
+   *  }
+   * });
+   */
+  class AssetLoadError extends Error {
+    constructor(url, type, cause) {
+      super(`Failed to load ${type} from ${url}${cause ? `: ${cause.message}` : ""}`);
+      this.name = "AssetLoadError";
+      this.url = url;
+      this.type = type;
+      this.cause = cause;
+    }
+  }
+  
+  /**
+   * @function fetchAsset
+   * @param {String} url
+   * @param {String} type - The asset type, used for errors
+   * @returns @type {Promise} - Resolves with the fetch response
+   * @private
+   */
+  function fetchAsset(url, type) {
+    return fetch(url).then((response) => {
+      if (!response.ok) {
+        throw new AssetLoadError(url, type, new Error(`${response.status} ${response.statusText}`));
+      }
+      return response;
+    });
+  }
+  
+  /**
+   * @function resolveAssetUrl
+   * @param {String} path - A path relative to the file that references it
+   * @param {String} base - The url of the referencing file
+   * @returns @type {String} - The resolved url
+   * @private
+   */
+  function resolveAssetUrl(path, base) {
+    return new URL(path, new URL(base, document.baseURI)).href;
+  }
+  
+  /**
+   * @constant assetLoaders
+   * @description The built in asset loaders, see AssetManager.registerLoader
+   */
+  const assetLoaders = {
+    html: (url) => fetchAsset(url, "html").then((response) => response.text()),
+    texture: (url) => fetchAsset(url, "texture").then((response) => response.text()),
+    json: (url) => fetchAsset(url, "json").then((response) => response.json()),
+    image: (url) =>
+      new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new AssetLoadError(url, "image"));
+        image.src = url;
+      }),
+    audio: (url) =>
+      new Promise((resolve, reject) => {
+        const audio = new Audio();
+        audio.preload = "auto";
+        audio.addEventListener("canplaythrough", () => resolve(audio), { once: true });
+        audio.addEventListener("error", () => reject(new AssetLoadError(url, "audio")), { once: true });
+        audio.src = url;
+        audio.load();
+      }),
+    // { image, frames: { name: { x, y, w, h } } }, TexturePacker's { frames: { name: { frame } }, meta: { image } } also works
+    spritesheet: (url, assets) =>
+      assets.load("json", url).then((data) => {
+        const imageUrl = resolveAssetUrl(data.image || data.meta.image, url);
+        return assets.load("image", imageUrl).then((image) => {
+          const frames = {};
+          for (const name in data.frames) {
+            const frame = data.frames[name].frame || data.frames[name];
+            frames[name] = { x: frame.x, y: frame.y, w: frame.w, h: frame.h };
+          }
+          return { url: imageUrl, image: image, width: image.naturalWidth, height: image.naturalHeight, frames: frames };
+        });
+      }),
+    // Tiled maps as JSON or XML, with their tilesets and tileset images, see Scene.addTiledMap
+    tiled: (url, assets) =>
+      fetchAsset(url, "tiled")
+        .then((response) => response.text())
+        .then((text) => readTiledMap(text, url, assets)),
+  };
+  
+  /**
+   * @class AssetManager
+   * @description Engine level asset store. Assets load through typed loaders, requests for an asset that is
+   * already loading share one request, and loaded assets are cached by type and url with a reference count. The same
+   * url can be loaded as different types, e.g. a spritesheet's descriptor as json and as a spritesheet
+   * @property {Map} cache - The loaded assets by "type:url"
+   * @property {Map} pending - The assets being loaded by "type:url"
+   * @property {Map} references - How many running scenes use each url
+   * @property {Object} loaders - The loaders by asset type
+   * @property {Object} extensions - The asset type for each file extension, used when no type is given
+   * @method load - Load an asset, or return it from the cache
+   * @method get - Get a loaded asset
+   * @method has - Check if an asset is loaded
+   * @method preload - Load a list of assets and report progress
+   * @method registerLoader - Add or replace the loader for an asset type
+   * @method retain - Mark an asset as in use
+   * @method release - Mark an asset as no longer in use, it stays cached until purge
+   * @method purge - Drop every cached asset that is not in use
+   * @example
+   * const text = await engine.assets.load('html', './views/view.html');
+   * const sheet = await engine.assets.load('./hero.json'); // type from the extension would be json
+   * const hero = await engine.assets.load('spritesheet', './hero.json');
+   * await engine.assets.preload([{ type: 'image', url: './hero.png' }], (loaded, total) => {
+   *  console.log(`${loaded} / ${total}`);
+   * });
+   */
+  class AssetManager {
+    constructor() {
+      this.cache = new Map();
+      this.pending = new Map();
+      this.references = new Map();
+      this.loaders = { ...assetLoaders };
+      this.extensions = {
+        html: "html",
+        htm: "html",
+        texture: "texture",
+        json: "json",
+        png: "image",
+        jpg: "image",
+        jpeg: "image",
+        gif: "image",
+        webp: "image",
+        svg: "image",
+        mp3: "audio",
+        ogg: "audio",
+        wav: "audio",
+        m4a: "audio",
+        tmj: "tiled",
+        tmx: "tiled",
+      };
+    }
+  
+    /**
+     * @method registerLoader
+     * @param {String} type - The asset type
+     * @param {Function} loader - Called with (url, assetManager), returns a promise of the asset
+     * @param {Array} extensions - File extensions to load with this type when no type is given
+     * @example
+     * engine.assets.registerLoader('font', (url) => new FontFace('game', `url(${url})`).load(), ['woff2']);
+     */
+    registerLoader(type, loader, extensions = []) {
+      this.loaders[type] = loader;
+      extensions.forEach((extension) => {
+        this.extensions[extension] = type;
+      });
+    }
+  
+    /**
+     * @method typeOf
+     * @param {String} url
+     * @returns @type {String} - The asset type for the url's extension
+     * @private
+     */
+    typeOf(url) {
+      const extension = url.split(/[?#]/)[0].split(".").pop().toLowerCase();
+      return this.extensions[extension];
+    }
+  
+    /**
+     * @method load
+     * @param {String} type - html, texture, json, image, spritesheet, audio, tiled or a registered type, may be left out
+     * @param {String} url
+     * @returns @type {Promise} - Resolves with the asset, rejects with an AssetLoadError
+     * @example
+     * engine.assets.load('image', './hero.png');
+     * engine.assets.load('./views/view.html');
+     */
+    load(type, url) {
+      if (url === undefined) {
+        url = type;
+        type = this.typeOf(url);
+      }
+      const key = `${type}:${url}`;
+      if (this.cache.has(key)) {
+        return Promise.resolve(this.cache.get(key));
+      }
+      if (this.pending.has(key)) {
+        return this.pending.get(key);
+      }
+      const loader = this.loaders[type];
+      if (!loader) {
+        return Promise.reject(
+          new AssetLoadError(
+            url,
+            type || "asset",
+            new Error(type ? `No loader for asset type "${type}"` : "Unknown file extension")
+          )
+        );
+      }
+  
+      const loading = Promise.resolve()
+        .then(() => loader(url, this))
+        .then(
+          (asset) => {
+            this.pending.delete(key);
+            this.cache.set(key, asset);
+            return asset;
+          },
+          (error) => {
+            this.pending.delete(key);
+            throw error instanceof AssetLoadError ? error : new AssetLoadError(url, type, error);
+          }
+        );
+      this.pending.set(key, loading);
+      return loading;
+    }
+  
+    /**
+     * @method get
+     * @param {String} type - The asset type, may be left out as for load
+     * @param {String} url
+     * @returns @type {*} - The loaded asset, or undefined
+     */
+    get(type, url) {
+      if (url === undefined) {
+        url = type;
+        type = this.typeOf(url);
+      }
+      return this.cache.get(`${type}:${url}`);
+    }
+  
+    /**
+     * @method has
+     * @param {String} type - The asset type, may be left out as for load
+     * @param {String} url
+     * @returns @type {Boolean} - Whether the asset is loaded
+     */
+    has(type, url) {
+      if (url === undefined) {
+        url = type;
+        type = this.typeOf(url);
+      }
+      return this.cache.has(`${type}:${url}`);
+    }
+  
+    /**
+     * @method preload
+     * @param {Array} assets - { type, url } entries
+     * @param {Function} onProgress - Called with (loaded, total, url) as each asset finishes
+     * @returns @type {Promise} - Resolves once every asset is loaded
+     */
+    preload(assets, onProgress) {
+      let loaded = 0;
+      return Promise.all(
+        assets.map(({ type, url }) =>
+          this.load(type, url).then((asset) => {
+            loaded++;
+            if (onProgress) {
+              onProgress(loaded, assets.length, url);
+            }
+            return asset;
+          })
+        )
+      );
+    }
+  
+    /**
+     * @method retain
+     * @param {String} url
+     * @description Mark an asset as in use so purge keeps it, scenes retain their assets while running
+     */
+    retain(url) {
+      this.references.set(url, (this.references.get(url) || 0) + 1);
+    }
+  
+    /**
+     * @method release
+     * @param {String} url
+     * @description Mark an asset as no longer in use. It is not evicted when nothing uses it any more, it stays cached
+     * so a scene that starts again does not load it again, until purge is called
+     */
+    release(url) {
+      const count = (this.references.get(url) || 0) - 1;
+      if (count > 0) {
+        this.references.set(url, count);
+      } else {
+        this.references.delete(url);
+      }
+    }
+  
+    /**
+     * @method purge
+     * @returns @type {Array} - The urls that were dropped
+     * @description Drop every cached asset that no running scene uses
+     * @example
+     * engine.startScene('Level2').then(() => engine.assets.purge());
+     */
+    purge() {
+      const dropped = [];
+      this.cache.forEach((asset, key) => {
+        const url = key.slice(key.indexOf(":") + 1); // Types have no colon, urls may
+        if (!this.references.has(url)) {
+          if (asset instanceof HTMLMediaElement) {
+            asset.pause();
+            asset.removeAttribute("src");
+          }
+          this.cache.delete(key);
+          if (!dropped.includes(url)) {
+            dropped.push(url);
+          }
+        }
+      });
+      return dropped;
+    }
+  }
+  
+  /**
+   * @constant engines
+   * @description The engines that have not been destroyed
+   * @private
+   */
+  const engines = new Set();
+  
+  /**
+   * @function engineAssets
+   * @returns @type {AssetManager} - The asset store of the page's engine, for loads that were not given one
+   * @private
+   */
+  function engineAssets() {
+    if (engines.size !== 1) {
+      throw new Error(
+        engines.size
+          ? "There are several engines, pass the asset store to load through, e.g. engine.assets"
+          : "Create a ReduxEngine before loading views and texture scripts"
+      );
+    }
+    return engines.values().next().value.assets;
+  }
+  
+  /**
+   * @class Rfx - Physics engine
+   * @param {Entity} entity - The entity to apply physics to
+   * @param {Number} threshold - Optional ground line, the entity's bottom edge rests on this y position. Left out or 0
+   * means no ground line, as new Rfx(entity, 0) always has
+   * @property {Object} velocity - The velocity in pixels per second
+   * @property {Object} acceleration - The acceleration applied during the last step in pixels per second squared
+   * @property {Object} gravity - The gravity vector in pixels per second squared
+   * @property {Number} mass - The mass of the body, forces and impulses are divided by it
+   * @property {Number} drag - How much of its velocity the body loses per second, 0 for none
+   * @property {Number} restitution - How much velocity is kept when bouncing, 0 stops dead and 1 bounces fully
+   * @property {Number} terminalVelocity - The highest speed the body can reach in pixels per second
+   * @property {Boolean} grounded - Whether the body rested on the ground during the last step
+   * @method setGravityDirection - Point gravity down, up, left or right
+   * @method setGravity - Set the gravity vector
+   * @method applyForce - Push the body during the next step
+   * @method applyImpulse - Change the body's velocity immediately
+   * @method update - Step the body by dt seconds
+   * @example
+   * const rfx = new Rfx(entity, 600); // attaches itself to entity.body
+   * rfx.setGravityDirection('down');
+   * rfx.restitution = 0.3;
+   * // jump
+   * if (rfx.grounded) {
+   *  rfx.applyImpulse(0, -400);
+   * }
+   * // the scene steps attached bodies every tick, or step it manually
+   * rfx.update(dt);
+   *
+   * @description Base class for the redux engine physics engine
+   *
+   */
+  
+  class Rfx {
+    constructor(entity, threshold) {
+      this.entity = entity;
+      // Attach the body so the scene steps it after the entity updates
+      this.entity.body = this;
+      this.threshold = threshold ? threshold : null; // 0 is kept as no ground for existing callers
+      this.velocity = { x: 0, y: 0 };
+      this.acceleration = { x: 0, y: 0 };
+      this.force = { x: 0, y: 0 }; // Forces applied since the last step
+      this.gravity = { x: 0, y: 0 };
+      this.gravityStrength = 980;
+      this.mass = 1;
+      this.drag = 0;
+      this.restitution = 0;
+      this.terminalVelocity = 1000;
+      this.grounded = false;
+    }
+  
+    /**
+     * @method setGravityDirection
+     * @param {String} direction - down, up, left, right, or null for no gravity
+     * @description Point gravity in a direction with a strength of gravityStrength
+     */
+    setGravityDirection(direction) {
+      const directions = {
+        down: { x: 0, y: 1 },
+        up: { x: 0, y: -1 },
+        left: { x: -1, y: 0 },
+        right: { x: 1, y: 0 },
+      };
+      const unit = directions[direction] || { x: 0, y: 0 };
+      this.setGravity(unit.x * this.gravityStrength, unit.y * this.gravityStrength);
+    }
+  
+    /**
+     * @method setGravity
+     * @param {Number} x
+     * @param {Number} y
+     * @description Set the gravity vector in pixels per second squared
+     */
+    setGravity(x, y) {
+      this.gravity = { x: x, y: y };
+    }
+  
+    /**
+     * @method applyForce
+     * @param {Number} x
+     * @param {Number} y
+     * @description Push the body during the next step, forces are cleared after every step so apply them every tick
+     * @example
+     * // thrust while the key is held
+     * this.addCustomInput('ArrowUp', () => rfx.applyForce(0, -1500), () => {});
+     */
+    applyForce(x, y) {
+      this.force.x += x;
+      this.force.y += y;
+    }
+  
+    /**
+     * @method applyImpulse
+     * @param {Number} x
+     * @param {Number} y
+     * @description Change the body's velocity immediately, e.g. for jumps and knockback
+     */
+    applyImpulse(x, y) {
+      this.velocity.x += x / this.mass;
+      this.velocity.y += y / this.mass;
+    }
+  
+    /**
+     * @method update
+     * @param {Number} dt - The step length in seconds
+     * @description Integrate forces, gravity and drag into the velocity, then move the entity
+     */
+    update(dt = 1 / 60) {
+      this.acceleration.x = this.gravity.x + this.force.x / this.mass;
+      this.acceleration.y = this.gravity.y + this.force.y / this.mass;
+      this.force.x = 0;
+      this.force.y = 0;
+  
+      this.velocity.x += this.acceleration.x * dt;
+      this.velocity.y += this.acceleration.y * dt;
+  
+      // Drag removes a share of the velocity per second
+      const damping = 1 / (1 + this.drag * dt);
+      this.velocity.x *= damping;
+      this.velocity.y *= damping;
+  
+      const speed = Math.hypot(this.velocity.x, this.velocity.y);
+      if (speed > this.terminalVelocity) {
+        this.velocity.x *= this.terminalVelocity / speed;
+        this.velocity.y *= this.terminalVelocity / speed;
+      }
+  
+      this.entity.x += this.velocity.x * dt;
+      this.entity.y += this.velocity.y * dt;
+  
+      // Bounce off the ground line
+      this.grounded = false;
+      if (this.threshold !== null && this.entity.y + this.entity.height >= this.threshold) {
+        this.entity.y = this.threshold - this.entity.height;
+        if (this.velocity.y > 0) {
+          this.velocity.y = -this.velocity.y * this.restitution;
+        }
+        this.grounded = true;
+      }
+    }
+  }
+   
+  let nextColliderId = 1;
+  
+  /**
+   * @function edgeNormals
+   * @param {Array} points - A convex hull's points, in either winding
+   * @returns @type {Array} - The unit normal of every edge, a segment has one and a single point has none
+   * @private
+   */
+  function edgeNormals(points) {
+    const normals = [];
+    const edges = points.length > 2 ? points.length : points.length - 1;
+    for (let i = 0; i < edges; i++) {
+      const from = points[i];
+      const to = points[(i + 1) % points.length];
+      const length = Math.hypot(to.x - from.x, to.y - from.y);
+      if (length > 0) {
+        normals.push({ x: -(to.y - from.y) / length, y: (to.x - from.x) / length });
+      }
+    }
+    return normals;
+  }
+  
+  /**
+   * @function closestPointOnSegment
+   * @returns @type {Object} - The point on the segment from a to b closest to point
+   * @private
+   */
+  function closestPointOnSegment(a, b, point) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared
+      ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared))
+      : 0;
+    return { x: a.x + dx * t, y: a.y + dy * t };
+  }
+  
+  /**
+   * @function closestPointOnHull
+   * @returns @type {Object} - The point on a convex hull's outline closest to point
+   * @private
+   */
+  function closestPointOnHull(points, point) {
+    if (points.length === 1) {
+      return points[0];
+    }
+    let closest = null;
+    let closestDistance = Infinity;
+    const edges = points.length > 2 ? points.length : 1;
+    for (let i = 0; i < edges; i++) {
+      const candidate = closestPointOnSegment(points[i], points[(i + 1) % points.length], point);
+      const distance = Math.hypot(candidate.x - point.x, candidate.y - point.y);
+      if (distance < closestDistance) {
+        closest = candidate;
+        closestDistance = distance;
+      }
+    }
+    return closest;
+  }
+  
+  /**
+   * @function projectShape
+   * @returns @type {Object} - The { min, max } of a shape projected on an axis, grown by its radius
+   * @private
+   */
+  function projectShape(shape, axis) {
+    let min = Infinity;
+    let max = -Infinity;
+    shape.points.forEach((point) => {
+      const projection = point.x * axis.x + point.y * axis.y;
+      min = Math.min(min, projection);
+      max = Math.max(max, projection);
+    });
+    return { min: min - shape.radius, max: max + shape.radius };
+  }
+  
+  /**
+   * @function hullCenter
+   * @returns @type {Object} - The average of a hull's points
+   * @private
+   */
+  function hullCenter(points) {
+    const sum = points.reduce((total, point) => ({ x: total.x + point.x, y: total.y + point.y }), { x: 0, y: 0 });
+    return { x: sum.x / points.length, y: sum.y / points.length };
+  }
+  
+  /**
+   * @function separateShapes
+   * @param {Object} shapeA - { points, radius } as returned by Collider.getShape
+   * @param {Object} shapeB
+   * @returns @type {Object|null} - { normal, depth } with the normal pointing from a towards b, or null when they do not overlap
+   * @description Separating axis test. The candidate axes are the edge normals of both shapes, plus for circles and
+   * capsules the directions from each shape's points to the closest point of the other shape
+   * @private
+   */
+  function separateShapes(shapeA, shapeB) {
+    const axes = edgeNormals(shapeA.points).concat(edgeNormals(shapeB.points));
+    if (shapeA.radius > 0 || shapeB.radius > 0) {
+      [[shapeA, shapeB], [shapeB, shapeA]].forEach(([from, to]) => {
+        from.points.forEach((point) => {
+          const closest = closestPointOnHull(to.points, point);
+          const length = Math.hypot(closest.x - point.x, closest.y - point.y);
+          if (length > 1e-9) {
+            axes.push({ x: (closest.x - point.x) / length, y: (closest.y - point.y) / length });
+          }
+        });
+      });
+    }
+    if (!axes.length) {
+      // Two circles with the same center
+      axes.push({ x: 0, y: 1 });
+    }
+  
+    let depth = Infinity;
+    let normal = null;
+    for (const axis of axes) {
+      const projectionA = projectShape(shapeA, axis);
+      const projectionB = projectShape(shapeB, axis);
+      const overlap =
+        Math.min(projectionA.max, projectionB.max) - Math.max(projectionA.min, projectionB.min);
+      if (overlap <= 0) {
+        return null;
+      }
+      if (overlap < depth) {
+        depth = overlap;
+        normal = axis;
+      }
+    }
+  
+    const centerA = hullCenter(shapeA.points);
+    const centerB = hullCenter(shapeB.points);
+    if ((centerB.x - centerA.x) * normal.x + (centerB.y - centerA.y) * normal.y < 0) {
+      normal = { x: -normal.x, y: -normal.y };
+    }
+    return { normal: { x: normal.x, y: normal.y }, depth: depth };
+  }
+  
+  /**
+   * @function shapeContainsPoint
+   * @param {Object} shape - { points, radius }
+   * @param {Object} point
+   * @returns @type {Boolean} - Whether the point is inside or on the shape
+   * @private
+   */
+  function shapeContainsPoint(shape, point) {
+    const { points, radius } = shape;
+    if (points.length < 3) {
+      const closest = closestPointOnHull(points, point);
+      return Math.hypot(closest.x - point.x, closest.y - point.y) <= radius;
+    }
+    let sign = 0;
+    for (let i = 0; i < points.length; i++) {
+      const from = points[i];
+      const to = points[(i + 1) % points.length];
+      const cross = (to.x - from.x) * (point.y - from.y) - (to.y - from.y) * (point.x - from.x);
+      if (cross !== 0) {
+        if (sign !== 0 && Math.sign(cross) !== sign) {
+          return false;
+        }
+        sign = Math.sign(cross);
+      }
+    }
+    return true;
+  }
+  
+  /**
+   * @function raycastShape
+   * @param {Object} shape - { points, radius }
+   * @param {Object} origin - The ray's start
+   * @param {Object} direction - The ray's unit direction
+   * @param {Number} maxDistance
+   * @returns @type {Object|null} - { distance, normal } of the nearest hit, a ray starting inside the shape hits at distance 0
+   * @private
+   */
+  function raycastShape(shape, origin, direction, maxDistance) {
+    if (shapeContainsPoint(shape, origin)) {
+      return { distance: 0, normal: { x: -direction.x, y: -direction.y } };
+    }
+    const { points, radius } = shape;
+    let hit = null;
+    const consider = (distance, normal) => {
+      if (distance >= 0 && distance <= maxDistance && (!hit || distance < hit.distance)) {
+        hit = { distance: distance, normal: normal };
+      }
+    };
+  
+    // The edges, pushed out by the radius, that the ray enters through
+    const center = hullCenter(points);
+    const edges = points.length > 2 ? points.length : points.length - 1;
+    for (let i = 0; i < edges; i++) {
+      const from = points[i];
+      const to = points[(i + 1) % points.length];
+      edgeNormals([from, to]).forEach((edgeNormal) => {
+        // A polygon's edges face outwards, a capsule's segment faces both ways
+        const facing = points.length > 2
+          ? Math.sign((from.x - center.x) * edgeNormal.x + (from.y - center.y) * edgeNormal.y) || 1
+          : Math.sign((origin.x - from.x) * edgeNormal.x + (origin.y - from.y) * edgeNormal.y) || 1;
+        const normal = { x: edgeNormal.x * facing, y: edgeNormal.y * facing };
+        if (direction.x * normal.x + direction.y * normal.y >= 0) {
+          return;
+        }
+        const start = { x: from.x + normal.x * radius, y: from.y + normal.y * radius };
+        const edge = { x: to.x - from.x, y: to.y - from.y };
+        const denominator = direction.x * edge.y - direction.y * edge.x;
+        const offset = { x: start.x - origin.x, y: start.y - origin.y };
+        const distance = (offset.x * edge.y - offset.y * edge.x) / denominator;
+        const along = (offset.x * direction.y - offset.y * direction.x) / denominator;
+        if (along >= 0 && along <= 1) {
+          consider(distance, normal);
+        }
+      });
+    }
+  
+    // The rounded ends of circles and capsules
+    if (radius > 0) {
+      points.forEach((point) => {
+        const mx = origin.x - point.x;
+        const my = origin.y - point.y;
+        const b = mx * direction.x + my * direction.y;
+        const discriminant = b * b - (mx * mx + my * my - radius * radius);
+        if (discriminant < 0) {
+          return;
+        }
+        const distance = -b - Math.sqrt(discriminant);
+        const hitX = origin.x + direction.x * distance;
+        const hitY = origin.y + direction.y * distance;
+        consider(distance, { x: (hitX - point.x) / radius, y: (hitY - point.y) / radius });
+      });
+    }
+    return hit;
+  }
+  
+  /**
+   * @function boxShape
+   * @param {Object} bounds - { x, y, width, height }
+   * @returns @type {Object} - The box as a { points, radius } shape
+   * @private
+   */
+  function boxShape(bounds) {
+    const { x, y, width, height } = bounds;
+    return {
+      points: [
+        { x: x, y: y },
+        { x: x + width, y: y },
+        { x: x + width, y: y + height },
+        { x: x, y: y + height },
+      ],
+      radius: 0,
+    };
+  }
+  
+  /**
+   * @function boundsOverlap
+   * @returns @type {Boolean} - Whether two { x, y, width, height } boxes overlap
+   * @private
+   */
+  function boundsOverlap(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+  }
+  
+  /**
+   * @function rayHitsBounds
+   * @returns @type {Boolean} - Whether a ray reaches a { x, y, width, height } box within maxDistance
+   * @private
+   */
+  function rayHitsBounds(bounds, origin, direction, maxDistance) {
+    return raySpan(bounds, origin, direction, maxDistance) !== null;
+  }
+  
+  /**
+   * @function sameBounds
+   * @param {Object} a - { x, y, width, height }
+   * @param {Object} b - { x, y, width, height }
+   * @returns @type {Boolean} - Whether both boxes are the same
+   * @private
+   */
+  function sameBounds(a, b) {
+    return a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+  }
+  
+  /**
+   * @function raySpan
+   * @returns @type {Array|null} - The [near, far] distances a ray spends inside a { x, y, width, height } box within
+   * maxDistance, slab test, or null when it misses
+   * @private
+   */
+  function raySpan(bounds, origin, direction, maxDistance) {
+    let near = 0;
+    let far = maxDistance;
+    const axes = [
+      [origin.x, direction.x, bounds.x, bounds.x + bounds.width],
+      [origin.y, direction.y, bounds.y, bounds.y + bounds.height],
+    ];
+    for (const [start, step, min, max] of axes) {
+      if (step === 0) {
+        if (start < min || start > max) {
+          return null;
+        }
+        continue;
+      }
+      const t1 = (min - start) / step;
+      const t2 = (max - start) / step;
+      near = Math.max(near, Math.min(t1, t2));
+      far = Math.min(far, Math.max(t1, t2));
+      if (near > far) {
+        return null;
+      }
+    }
+    return [near, far];
+  }
+  
+  /**
+   * @function sideOfNormal
+   * @returns @type {String} - top, bottom, left or right for the normal's strongest direction, like isColliding
+   * @private
+   */
+  function sideOfNormal(normal) {
+    if (Math.abs(normal.x) > Math.abs(normal.y)) {
+      return normal.x < 0 ? "left" : "right";
+    }
+    return normal.y < 0 ? "top" : "bottom";
+  }
+  
+  /**
+   * @class Collider
+   * @description A collision shape that follows its entity. By default it is an axis aligned box matching the entity's
+   * x, y, width and height, and it can be offset, sized differently or shaped as a circle, convex polygon or capsule
+   * @param {Entity} entity - The entity the collider belongs to
+   * @param {Object} options
+   * @param {String} options.shape - box, circle, polygon or capsule, defaults to box
+   * @param {Number} options.offsetX - Horizontal offset from the entity's position
+   * @param {Number} options.offsetY - Vertical offset from the entity's position
+   * @param {Number} options.width - The width of the collider's box, defaults to the entity's width
+   * @param {Number} options.height - The height of the collider's box, defaults to the entity's height
+   * @param {Number} options.radius - The radius of a circle or capsule, defaults to half the box's shorter side
+   * @param {Array} options.points - A convex polygon's points as { x, y } relative to the collider's position
+   * @param {Boolean} options.isStatic - Static colliders are never pushed, e.g. walls and floors
+   * @param {Boolean} options.isTrigger - Triggers report collisions but never push or get pushed, e.g. pickups and doors
+   * @param {Number} options.layer - The layer bits the collider is on, defaults to 1
+   * @param {Number} options.mask - The layer bits the collider collides with, defaults to every layer
+   * @property {Number} id - Unique id of the collider
+   * @property {Entity} entity - The entity the collider belongs to
+   * @property {Boolean} isStatic - Whether collisions can move the entity
+   * @property {Boolean} isTrigger - Whether the collider only reports collisions
+   * @property {Number} layer - The layer bits the collider is on
+   * @property {Number} mask - The layer bits the collider collides with
+   * @property {String} shape - box, circle, polygon or capsule
+   * @method getBounds - The box around the collider in world space
+   * @method getShape - The collider's shape in world space
+   * @method collidesWith - Whether two colliders' layers and masks let them collide
+   * @example
+   * const LAYERS = { player: 1, enemy: 2, pickup: 4 };
+   * const floor = new Entity(0, 550, 800, 50, 'green');
+   * floor.setCollider({ isStatic: true });
+   * coin.setCollider({ isTrigger: true, layer: LAYERS.pickup, mask: LAYERS.player });
+   * ball.setCollider({ shape: 'circle' }); // fits a vector(50%) entity
+   * player.setCollider({ shape: 'capsule', offsetX: 10, width: 30 }); // narrower than the sprite
+   * ramp.setCollider({ shape: 'polygon', isStatic: true, points: [{ x: 0, y: 100 }, { x: 200, y: 0 }, { x: 200, y: 100 }] });
+   */
+  class Collider {
+    constructor(entity, options = {}) {
+      this.id = nextColliderId++;
+      this.entity = entity;
+      this.isStatic = !!options.isStatic;
+      this.isTrigger = !!options.isTrigger;
+      this.layer = options.layer !== undefined ? options.layer : 1;
+      this.mask = options.mask !== undefined ? options.mask : 0xffffffff;
+      this.shape = options.shape || "box";
+      this.offsetX = options.offsetX || 0;
+      this.offsetY = options.offsetY || 0;
+      this.width = options.width !== undefined ? options.width : null; // null follows the entity
+      this.height = options.height !== undefined ? options.height : null;
+      this.radius = options.radius !== undefined ? options.radius : null;
+      this.points = options.points || [];
+    }
+  
+    /**
+     * @method collidesWith
+     * @param {Collider} other
+     * @returns @type {Boolean} - Whether each collider's mask includes the other's layer
+     */
+    collidesWith(other) {
+      return (this.layer & other.mask) !== 0 && (other.layer & this.mask) !== 0;
+    }
+  
+    /**
+     * @method getBounds
+     * @returns @type {Object} - { x, y, width, height } read from the entity, no DOM layout involved
+     */
+    getBounds() {
+      if (this.shape === "polygon") {
+        const points = this.getShape().points;
+        const xs = points.map((point) => point.x);
+        const ys = points.map((point) => point.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x: x, y: y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+      }
+      return {
+        x: this.entity.x + this.offsetX,
+        y: this.entity.y + this.offsetY,
+        width: this.width !== null ? this.width : this.entity.width,
+        height: this.height !== null ? this.height : this.entity.height,
+      };
+    }
+  
+    /**
+     * @method getShape
+     * @returns @type {Object} - { points, radius } in world space. The shape is the convex hull of the points grown by
+     * the radius: a box or polygon has no radius, a circle is one point and a capsule is a segment
+     */
+    getShape() {
+      if (this.shape === "polygon") {
+        const x = this.entity.x + this.offsetX;
+        const y = this.entity.y + this.offsetY;
+        return {
+          points: this.points.map((point) => ({ x: x + point.x, y: y + point.y })),
+          radius: 0,
+        };
+      }
+      const { x, y, width, height } = this.getBounds();
+      const radius = this.radius !== null ? this.radius : Math.min(width, height) / 2;
+      const centerX = x + width / 2;
+      const centerY = y + height / 2;
+      if (this.shape === "circle") {
+        return { points: [{ x: centerX, y: centerY }], radius: radius };
+      }
+      if (this.shape === "capsule") {
+        // The capsule runs along the box's longer side
+        if (height >= width) {
+          return {
+            points: [{ x: centerX, y: y + radius }, { x: centerX, y: y + height - radius }],
+            radius: radius,
+          };
+        }
+        return {
+          points: [{ x: x + radius, y: centerY }, { x: x + width - radius, y: centerY }],
+          radius: radius,
+        };
+      }
+      return boxShape({ x: x, y: y, width: width, height: height });
+    }
+  
+    /**
+     * @method inverseMass
+     * @returns @type {Number} - 0 for static colliders, otherwise 1 / mass of the entity's body (mass 1 without a body)
+     * @private
+     */
+    inverseMass() {
+      if (this.isStatic) {
+        return 0;
+      }
+      return this.entity.body ? 1 / this.entity.body.mass : 1;
+    }
+  }
+  
+  /**
+   * @class PhysicsWorld
+   * @description Finds and resolves collisions between a scene's colliders every tick. Candidate pairs come from a
+   * spatial hash so only nearby colliders are compared, and overlapping colliders are pushed apart along the axis of least overlap
+   * @param {Scene} scene - The scene that owns the world
+   * @property {Number} cellSize - The spatial hash cell size in pixels, roughly the size of a typical entity or larger
+   * @property {Array} contacts - The contacts found during the last step
+   * @method step - Find and resolve collisions, then notify entities with onCollisionEnter, onCollisionStay and onCollisionExit
+   * @method getContacts - The contacts involving an entity during the last step
+   * @method raycast - The nearest entity along a ray
+   * @method queryRect - The entities overlapping a rectangle
+   * @method queryPoint - The entities containing a point
+   * @example
+   * postUpdate(dt) {
+   *  this.physics.getContacts(this.player).forEach((contact) => {
+   *    if (contact.side === 'bottom') {
+   *      console.log('standing on', contact.b);
+   *    }
+   *  });
    * }
    */
-  const isColliding = (elementA, elementB, sensitivity) => {
-    // Get the bounding rectangles of the two elements
-    const rectA = elementA.getBoundingClientRect();
-    const rectB = elementB.getBoundingClientRect();
-    console.log(rectA, rectB);
-    // Calculate the vectors to check the direction of collision
-    const dx = (rectA.right + rectA.left) / 2 - (rectB.right + rectB.left) / 2;
-    const dy = (rectA.bottom + rectA.top) / 2 - (rectB.bottom + rectB.top) / 2;
-    const widthA = rectA.right - rectA.left;
-    const widthB = rectB.right - rectB.left;
-    const heightA = rectA.bottom - rectA.top;
-    const heightB = rectB.bottom - rectB.top;
-  
-    // Calculate the minimum distance for collision to occur
-    const minDistance = (widthA + widthB) / 2 / 2;
+  class PhysicsWorld {
+    constructor(scene) {
+      this.scene = scene;
+      this.cellSize = 128;
+      this.contacts = [];
+      this.touching = new Map(); // Contacts from the last step by collider pair
+      this.index = null; // Spatial hash for queries, see queryIndex
+    }
   
-    // Adjust the minimum distance with sensitivity
-    const adjustedMinDistance = minDistance * sensitivity;
+    /**
+     * @method pairKey
+     * @param {Collider} a
+     * @param {Collider} b
+     * @returns @type {String} - The same key for a pair whatever the order
+     * @private
+     */
+    pairKey(a, b) {
+      return a.id < b.id ? `${a.id}:${b.id}` : `${b.id}:${a.id}`;
+    }
   
-    // Check for collision and determine the direction
-    if (
-      Math.abs(dx) <= (widthA + widthB) / 2 + adjustedMinDistance &&
-      Math.abs(dy) <= (heightA + heightB) / 2 + adjustedMinDistance
-    ) {
-      const overlapX = (widthA + widthB) / 2 + adjustedMinDistance - Math.abs(dx);
-      const overlapY =
-        (heightA + heightB) / 2 + adjustedMinDistance - Math.abs(dy);
+    /**
+     * @method colliders
+     * @returns @type {Array} - The colliders of the scene's entities
+     * @private
+     */
+    colliders() {
+      return this.scene.entities
+        .filter((entity) => entity.collider)
+        .map((entity) => entity.collider);
+    }
   
-      if (overlapX >= overlapY) {
-        if (dy > 0) {
-          return "top";
+    /**
+     * @method broadphase
+     * @param {Array} colliders
+     * @returns @type {Array} - Pairs of colliders that share a spatial hash cell
+     * @private
+     */
+    broadphase(colliders) {
+      const cells = new Map();
+      const pairs = [];
+      const seen = new Set();
+      colliders.forEach((collider) => {
+        const bounds = collider.getBounds();
+        const left = Math.floor(bounds.x / this.cellSize);
+        const right = Math.floor((bounds.x + bounds.width) / this.cellSize);
+        const top = Math.floor(bounds.y / this.cellSize);
+        const bottom = Math.floor((bounds.y + bounds.height) / this.cellSize);
+        for (let cx = left; cx <= right; cx++) {
+          for (let cy = top; cy <= bottom; cy++) {
+            const key = `${cx},${cy}`;
+            const cell = cells.get(key);
+            if (!cell) {
+              cells.set(key, [collider]);
+              continue;
+            }
+            cell.forEach((other) => {
+              const id = this.pairKey(other, collider);
+              if (!seen.has(id)) {
+                seen.add(id);
+                pairs.push([other, collider]);
+              }
+            });
+            cell.push(collider);
+          }
         }
-        return "bottom";
+      });
+      return pairs;
+    }
+  
+    /**
+     * @method collide
+     * @param {Collider} a
+     * @param {Collider} b
+     * @returns @type {Object|null} - The contact between the two colliders, or null when they do not overlap
+     * @private
+     */
+    collide(a, b) {
+      if (a.shape !== "box" || b.shape !== "box") {
+        return this.collideShapes(a, b);
       }
-      if (dx > 0) {
-        return "left";
+      const boundsA = a.getBounds();
+      const boundsB = b.getBounds();
+      const dx = boundsB.x + boundsB.width / 2 - (boundsA.x + boundsA.width / 2);
+      const dy = boundsB.y + boundsB.height / 2 - (boundsA.y + boundsA.height / 2);
+      const overlapX = (boundsA.width + boundsB.width) / 2 - Math.abs(dx);
+      const overlapY = (boundsA.height + boundsB.height) / 2 - Math.abs(dy);
+      if (overlapX <= 0 || overlapY <= 0) {
+        return null;
       }
-      return "right";
+      // The normal points from a towards b, side names the side of a that b touches like isColliding
+      if (overlapX < overlapY) {
+        return {
+          a: a.entity,
+          b: b.entity,
+          normal: { x: dx < 0 ? -1 : 1, y: 0 },
+          depth: overlapX,
+          side: dx < 0 ? "left" : "right",
+        };
+      }
+      return {
+        a: a.entity,
+        b: b.entity,
+        normal: { x: 0, y: dy < 0 ? -1 : 1 },
+        depth: overlapY,
+        side: dy < 0 ? "top" : "bottom",
+      };
     }
   
-    // No collision detected
-    return null;
-  };
+    /**
+     * @method collideShapes
+     * @param {Collider} a
+     * @param {Collider} b
+     * @returns @type {Object|null} - The contact between the two colliders, or null when they do not overlap
+     * @description Separating axis test for colliders that are not both boxes, see separateShapes
+     * @private
+     */
+    collideShapes(a, b) {
+      const separation = separateShapes(a.getShape(), b.getShape());
+      if (!separation) {
+        return null;
+      }
+      return {
+        a: a.entity,
+        b: b.entity,
+        normal: separation.normal,
+        depth: separation.depth,
+        side: sideOfNormal(separation.normal),
+      };
+    }
   
-  /***
-   * @function parseTextureScript
-   * @param {*} textureScript
-   * @returns @type {Object} - The styles for the texture script
-   * @description Parse Redux Texture Scripts to CSS Browser Styles
-   * @example
-   * let textureScript = `
-   * w(100)
-   * h(100)
-   * bgColor(FF0000)
-   * `
-   * const styles = parseTextureScript(textureScript);
-   *
-   * for (const key in styles) {
-   *  if (styles.hasOwnProperty(key)) {
-   *   this.element.style.cssText += `${styles[key]};`;
-   *  }
-   * }
-   *
-   */
+    /**
+     * @method collideTilemap
+     * @param {Collider} collider
+     * @param {Tilemap} tilemap
+     * @returns @type {Object|null} - The deepest contact with the tilemap's solid tiles, or null
+     * @description Push a collider out of every solid tile it overlaps. Tile edges shared with another solid tile are
+     * skipped so bodies slide along floors and walls instead of catching on the seams between tiles
+     * @private
+     */
+    collideTilemap(collider, tilemap) {
+      if ((collider.layer & tilemap.collisionMask) === 0 || (tilemap.collisionLayer & collider.mask) === 0) {
+        return null;
+      }
+      let deepest = null;
+      tilemap.getSolidTiles(collider.getBounds()).forEach((tile) => {
+        // Read the shape again for every tile, resolving the last one may have moved the entity
+        const separation = separateShapes(collider.getShape(), boxShape(tile));
+        if (!separation) {
+          return;
+        }
+        const { normal } = separation;
+        if (
+          Math.abs(normal.x) + Math.abs(normal.y) === 1 &&
+          tilemap.isSolid(tile.column - normal.x, tile.row - normal.y, tile.offsetX, tile.offsetY)
+        ) {
+          return;
+        }
+        const contact = {
+          a: collider.entity,
+          b: tilemap,
+          tile: tile,
+          normal: normal,
+          depth: separation.depth,
+          side: sideOfNormal(normal),
+          isTrigger: collider.isTrigger,
+        };
+        if (!contact.isTrigger) {
+          this.resolve(contact);
+        }
+        if (!deepest || contact.depth > deepest.depth) {
+          deepest = contact;
+        }
+      });
+      return deepest;
+    }
   
-  function parseTextureScript(textureScript) {
-    const styles = {};
-    const lines = textureScript.split("\n");
+    /**
+     * @method resolve
+     * @param {Object} contact
+     * @description Push the two entities apart in proportion to their inverse mass and stop their bodies moving into each other
+     * @private
+     */
+    resolve(contact) {
+      const a = contact.a;
+      const b = contact.b;
+      // Tilemaps have no collider and never move
+      const inverseMassA = a.collider ? a.collider.inverseMass() : 0;
+      const inverseMassB = b.collider ? b.collider.inverseMass() : 0;
+      const totalInverseMass = inverseMassA + inverseMassB;
+      if (totalInverseMass === 0) {
+        return;
+      }
+      const { normal, depth } = contact;
+      const shareA = inverseMassA / totalInverseMass;
+      const shareB = inverseMassB / totalInverseMass;
+      a.x -= normal.x * depth * shareA;
+      a.y -= normal.y * depth * shareA;
+      b.x += normal.x * depth * shareB;
+      b.y += normal.y * depth * shareB;
   
-    const functions = {
-      vector: (value, inset) => `border-radius: ${value}; padding: ${inset};`, // Set border radius
-      min: (value) => Math.min(value), // Set border radius
-      color: (value) => `#${value}`,
-      screenW: () => window.innerWidth,
-      screenH: () => window.innerHeight,
-      gradient: (direction, color1, color2) =>
-        `linear-gradient(${direction}, #${color1}, #${color2})`,
-      boxShadow: (x, y, blur, color) => `${x}px ${y}px ${blur}px #${color}`,
-      opacity: (value) => value,
-      rotate: (angle) => `rotate(${angle}deg)`,
-      scale: (value) => `scale(${value})`,
-      translate: (x, y) => `translate(${x}px, ${y}px)`,
-      font: (family, size) => `'${family}', ${size}`,
-      textShadow: (x, y, blur, color) => `${x}px ${y}px ${blur}px #${color}`,
-      w: (value) => `width: ${value};`,
-      tile: (value) => `background-repeat: repeat; background-size: ${value}px;`,
-      texture: (url) => `background-image: url(${url}); background-size: cover;`,
-      bgColor: (color) => `background-color: #${color};`,
-      bgGradient: (direction, color1, color2) =>
-        `background-image: linear-gradient(${direction}, #${color1}, #${color2});`,
-      bgGradientRadial: (color1, color2) =>
-        `background-image: radial-gradient(#${color1}, #${color2});`,
-      bgGradientRadialCircle: (color1, color2) =>
-        `background-image: radial-gradient(circle, #${color1}, #${color2});`,
-      bgGradientRadialEllipse: (color1, color2) =>
-        `background-image: radial-gradient(ellipse, #${color1}, #${color2});`,
-      bgGradientRadialClosestSide: (color1, color2) =>
-        `background-image: radial-gradient(closest-side, #${color1}, #${color2});`,
-    };
+      const velocityA = a.body ? a.body.velocity : { x: 0, y: 0 };
+      const velocityB = b.body ? b.body.velocity : { x: 0, y: 0 };
+      const closingSpeed =
+        (velocityA.x - velocityB.x) * normal.x + (velocityA.y - velocityB.y) * normal.y;
+      if (closingSpeed > 0) {
+        const restitution = Math.max(
+          a.body ? a.body.restitution : 0,
+          b.body ? b.body.restitution : 0
+        );
+        const impulse = ((1 + restitution) * closingSpeed) / totalInverseMass;
+        if (a.body && inverseMassA) {
+          a.body.velocity.x -= impulse * inverseMassA * normal.x;
+          a.body.velocity.y -= impulse * inverseMassA * normal.y;
+        }
+        if (b.body && inverseMassB) {
+          b.body.velocity.x += impulse * inverseMassB * normal.x;
+          b.body.velocity.y += impulse * inverseMassB * normal.y;
+        }
+      }
   
-    lines.forEach((line) => {
-      const [key, value] = line
-        .split("(")
-        .map((item) => item.trim().replace(")", ""));
-      if (window[value]) {
-        value = window[value]();
-        console.log(value);
+      // A body resting on top of something, or on a slope gentler than 60 degrees, is grounded
+      if (a.body && normal.y > 0.5) {
+        a.body.grounded = true;
       }
-      if (functions[key]) {
-        styles[key] = functions[key](...value.split(","));
+      if (b.body && normal.y < -0.5) {
+        b.body.grounded = true;
       }
-    });
+    }
   
-    return styles;
-  }
+    /**
+     * @method step
+     * @param {Number} dt - The step length in seconds
+     * @returns @type {Array} - The contacts found, each { a, b, normal, depth, side, isTrigger }
+     * @description Find and resolve collisions between the scene's colliders, then notify the entities involved.
+     * Called by the scene every tick
+     */
+    step(dt) {
+      const touching = new Map();
+      this.contacts = [];
+      this.broadphase(this.colliders()).forEach(([a, b]) => {
+        if (!a.collidesWith(b)) {
+          return;
+        }
+        const contact = this.collide(a, b);
+        if (!contact) {
+          return;
+        }
+        contact.isTrigger = a.isTrigger || b.isTrigger;
+        if (!contact.isTrigger) {
+          this.resolve(contact);
+        }
+        this.contacts.push(contact);
+        touching.set(this.pairKey(a, b), contact);
+      });
   
-  class Entity {
-    constructor(x, y, width, height, color, initialState, textureScript) {
-      this.x = x;
-      this.y = y;
-      this.width = width;
-      this.height = height;
-      this.color = color || "black";
-      this.element = document.createElement("div");
-      this.element.style.position = "absolute";
-      this.element.style.width = this.width + "px";
-      this.element.style.height = this.height + "px";
-      this.state = initialState || {};
-      this.animationStates = {};
-      this.animationState = null;
-      this.applyTextureScript(textureScript);
-      this.element.style.backgroundColor = this.color;
-      this.element.style.left = this.x + "px";
-      this.element.style.top = this.y + "px";
-      this.element.style.pointerEvents = "none";
-      this.element.style.zIndex = "1"; // Ensure entities are displayed above UI elements
-      this.parseTextureScript = parseTextureScript;
+      this.colliders().forEach((collider) => {
+        if (collider.isStatic) {
+          return;
+        }
+        this.scene.tilemaps.forEach((tilemap) => {
+          const contact = this.collideTilemap(collider, tilemap);
+          if (contact) {
+            this.contacts.push(contact);
+            touching.set(`${collider.id}:tilemap${tilemap.id}`, contact);
+          }
+        });
+      });
+  
+      const previous = this.touching;
+      this.touching = touching;
+      touching.forEach((contact, key) => {
+        this.notify(previous.has(key) ? "onCollisionStay" : "onCollisionEnter", contact);
+      });
+      previous.forEach((contact, key) => {
+        if (!touching.has(key)) {
+          this.notify("onCollisionExit", contact);
+        }
+      });
+      return this.contacts;
     }
   
     /**
-     * @method applyTextureScript
-     * @param {*} textureScript
-     * @returns  @type {Object} - The styles for the texture script
-     * @description Apply Redux Texture Scripts to the entity
-     * @example
-     * let textureScript = `
-     * w(100)
-     * h(100)
-     * bgColor(FF0000)
-     * `
-     * entity.applyTextureScript(textureScript);
+     * @method notify
+     * @param {String} callback - onCollisionEnter, onCollisionStay or onCollisionExit
+     * @param {Object} contact
+     * @description Call the collision callback on both entities, each with the contact seen from its own side.
+     * A tilemap is only notified if it implements the callback. A new contact also emits collision on both entities
+     * and the scene
+     * @private
      */
-    applyTextureScript(textureScript) {
-      if (!textureScript) return;
-  
-      const styles = this.parseTextureScript(textureScript);
+    notify(callback, contact) {
+      const opposite = { top: "bottom", bottom: "top", left: "right", right: "left" };
+      const entered = callback === "onCollisionEnter";
+      contact.a[callback](contact.b, contact);
+      if (entered) {
+        contact.a.emit("collision", contact.b, contact);
+        this.scene.emit("collision", contact);
+      }
+      if (!contact.b[callback]) {
+        return;
+      }
+      const reversed = {
+        a: contact.b,
+        b: contact.a,
+        normal: { x: -contact.normal.x, y: -contact.normal.y },
+        depth: contact.depth,
+        side: opposite[contact.side],
+        tile: contact.tile,
+        isTrigger: contact.isTrigger,
+      };
+      contact.b[callback](contact.a, reversed);
+      if (entered && contact.b.emit) {
+        contact.b.emit("collision", contact.a, reversed);
+      }
+    }
   
-      for (const key in styles) {
-        if (styles.hasOwnProperty(key)) {
-          this.element.cssText = "    ";
-          this.element.style.cssText += `${styles[key]};`;
+    /**
+     * @method queryIndex
+     * @returns @type {Object} - { cells, extent } a spatial hash of the scene's entities for queries, cells maps
+     * "cx,cy" keys to entities and extent is a box around all of them
+     * @description Kept between queries and brought up to date by each one: entities that were added, removed or
+     * moved since the last query are filed again, so queries see every entity where it is now
+     * @private
+     */
+    queryIndex() {
+      if (!this.index || this.index.cellSize !== this.cellSize) {
+        this.index = { cells: new Map(), extent: null, entries: new Map(), cellSize: this.cellSize };
+      }
+      const index = this.index;
+      const entities = this.scene.entities;
+      entities.forEach((entity) => {
+        const bounds = this.queryBounds(entity);
+        const entry = index.entries.get(entity);
+        if (entry && sameBounds(entry.bounds, bounds)) {
+          return;
         }
+        if (entry) {
+          this.unfile(entity, entry);
+        }
+        this.file(entity, bounds);
+      });
+      // Anything left over is no longer in the scene
+      if (index.entries.size > entities.length) {
+        const present = new Set(entities);
+        index.entries.forEach((entry, entity) => {
+          if (!present.has(entity)) {
+            this.unfile(entity, entry);
+          }
+        });
       }
+      return index;
     }
+  
     /**
-     * @method index
-     * @description Set the z-index of the entity - higher z-index means the entity is displayed above other entities
-     * @example
-     * entity.index(1);
-     * @param {*} I
+     * @method file
+     * @param {Entity} entity
+     * @param {Object} bounds - The entity's query bounds
+     * @description Add an entity to the query index cells its bounds touch and grow the extent around it
+     * @private
      */
-    index(I) {
-      this.element.style.zIndex = index;
+    file(entity, bounds) {
+      const index = this.index;
+      const keys = [];
+      this.forEachCell(bounds, (key) => {
+        const cell = index.cells.get(key);
+        if (cell) {
+          cell.push(entity);
+        } else {
+          index.cells.set(key, [entity]);
+        }
+        keys.push(key);
+      });
+      const filed = { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height };
+      index.entries.set(entity, { bounds: filed, keys: keys });
+      // The extent only grows, a box around more than the entities only costs a few empty cells
+      const extent = index.extent;
+      if (!extent) {
+        index.extent = { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height };
+        return;
+      }
+      const right = Math.max(extent.x + extent.width, bounds.x + bounds.width);
+      const bottom = Math.max(extent.y + extent.height, bounds.y + bounds.height);
+      extent.x = Math.min(extent.x, bounds.x);
+      extent.y = Math.min(extent.y, bounds.y);
+      extent.width = right - extent.x;
+      extent.height = bottom - extent.y;
     }
+  
     /**
-     * @method addAnimationState
-     * @description Add an animation state to the entity and apply a texture script
-     * @param {*} stateName
-     * @param {*} textureScript
-     * @example
-     * entity.addAnimationState('inPlace', `texture('https://picsum.photos/200/300')`);
-     * entity.changeState('inPlace');
+     * @method unfile
+     * @param {Entity} entity
+     * @param {Object} entry - The entity's { bounds, keys } in the query index
+     * @description Take an entity out of the query index cells it was filed under
+     * @private
      */
-    addAnimationState(stateName, textureScript) {
-      this.animationStates[stateName] = textureScript;
+    unfile(entity, entry) {
+      const cells = this.index.cells;
+      entry.keys.forEach((key) => {
+        const cell = cells.get(key);
+        cell.splice(cell.indexOf(entity), 1);
+        if (!cell.length) {
+          cells.delete(key);
+        }
+      });
+      this.index.entries.delete(entity);
     }
+  
     /**
-     * @method changeState
-     * @description Change the animation state of the entity
-     * @param {*} stateName
-     * @returns
+     * @method forEachCell
+     * @param {Object} bounds - { x, y, width, height }
+     * @param {Function} callback - Called with the key of every spatial hash cell the box touches
+     * @private
      */
-    changeState(stateName) {
-      if (this.animationState === stateName) return;
-      this.animationState = stateName;
-      this.applyTextureScript(this.animationStates[stateName]);
-      this.render();
+    forEachCell(bounds, callback) {
+      const left = Math.floor(bounds.x / this.cellSize);
+      const right = Math.floor((bounds.x + bounds.width) / this.cellSize);
+      const top = Math.floor(bounds.y / this.cellSize);
+      const bottom = Math.floor((bounds.y + bounds.height) / this.cellSize);
+      for (let cx = left; cx <= right; cx++) {
+        for (let cy = top; cy <= bottom; cy++) {
+          callback(`${cx},${cy}`);
+        }
+      }
     }
   
     /**
-     * @method setAnimationState
-     * @param {*} state
-     * @description Set the animation state of the entity
+     * @method queryBounds
+     * @param {Entity} entity
+     * @returns @type {Object} - The entity's { x, y, width, height } for queries, its collider's bounds when it has one
+     * @private
      */
-    static setAnimationState(state) {
-      this.animationState = state;
-    }
-    getAnimationState() {
-      return this.animationState;
+    queryBounds(entity) {
+      if (entity.collider) {
+        return entity.collider.getBounds();
+      }
+      return { x: entity.x, y: entity.y, width: entity.width, height: entity.height };
     }
   
     /**
-     * @method render
-     * @description Render the entity
-     * @example
-     * entity.render();
+     * @method queryShape
+     * @param {Entity} entity
+     * @param {Object} bounds - The entity's query bounds
+     * @returns @type {Object} - The entity's collider shape, or a box for entities without a collider
+     * @private
      */
-  
-    render() {
-      this.element.style.left = this.x + "px";
-      this.element.style.top = this.y + "px";
+    queryShape(entity, bounds) {
+      return entity.collider ? entity.collider.getShape() : boxShape(bounds);
     }
   
-    getState() {
-      return this.state;
+    /**
+     * @method queryCandidates
+     * @param {Object} bounds - The { x, y, width, height } area to search
+     * @param {Number} mask - The layer bits to include
+     * @returns @type {Array} - { entity, bounds } for the entities on the mask filed under the cells the area touches,
+     * each once. Entities without a collider take part on layer 1
+     * @private
+     */
+    queryCandidates(bounds, mask) {
+      const { cells, extent } = this.queryIndex();
+      const candidates = [];
+      if (!extent) {
+        return candidates;
+      }
+      // Only visit the cells that can hold entities, a huge area would otherwise walk every empty cell
+      const left = Math.max(bounds.x, extent.x);
+      const top = Math.max(bounds.y, extent.y);
+      const area = {
+        x: left,
+        y: top,
+        width: Math.min(bounds.x + bounds.width, extent.x + extent.width) - left,
+        height: Math.min(bounds.y + bounds.height, extent.y + extent.height) - top,
+      };
+      if (area.width < 0 || area.height < 0) {
+        return candidates;
+      }
+      const seen = new Set();
+      this.forEachCell(area, (key) => {
+        (cells.get(key) || []).forEach((entity) => {
+          if (seen.has(entity)) {
+            return;
+          }
+          seen.add(entity);
+          if (((entity.collider ? entity.collider.layer : 1) & mask) === 0) {
+            return;
+          }
+          candidates.push({ entity: entity, bounds: this.queryBounds(entity) });
+        });
+      });
+      return candidates;
     }
   
-    setState(newState) {
-      this.state = { ...this.state, ...newState };
+    /**
+     * @method walkRay
+     * @param {Object} origin - { x, y } the ray starts at
+     * @param {Object} unit - The normalised direction of the ray
+     * @param {Number} maxDistance
+     * @param {Function} visit - Called with the entities of each spatial hash cell the ray passes through, nearest
+     * first, and the distance the ray enters the cell at. Return false to stop walking
+     * @private
+     */
+    walkRay(origin, unit, maxDistance, visit) {
+      const { cells, extent } = this.queryIndex();
+      const span = extent && raySpan(extent, origin, unit, maxDistance);
+      if (!span) {
+        return;
+      }
+      const [near, far] = span;
+      const size = this.cellSize;
+      const stepX = unit.x < 0 ? -1 : 1;
+      const stepY = unit.y < 0 ? -1 : 1;
+      let cx = Math.floor((origin.x + unit.x * near) / size);
+      let cy = Math.floor((origin.y + unit.y * near) / size);
+      // The distances along the ray to the next vertical and horizontal cell edges
+      let edgeX = unit.x ? ((cx + (stepX > 0 ? 1 : 0)) * size - origin.x) / unit.x : Infinity;
+      let edgeY = unit.y ? ((cy + (stepY > 0 ? 1 : 0)) * size - origin.y) / unit.y : Infinity;
+      let distance = near;
+      while (distance <= far) {
+        const cell = cells.get(`${cx},${cy}`);
+        if (cell && visit(cell, distance) === false) {
+          return;
+        }
+        if (edgeX < edgeY) {
+          distance = edgeX;
+          edgeX += size / Math.abs(unit.x);
+          cx += stepX;
+        } else {
+          distance = edgeY;
+          edgeY += size / Math.abs(unit.y);
+          cy += stepY;
+        }
+      }
     }
   
-    bind(key, callback) {
-      if (typeof callback === "function") {
-        this.state[key] = callback;
+    /**
+     * @method raycast
+     * @param {Object} origin - { x, y } the ray starts at
+     * @param {Object} direction - { x, y } the ray points in, does not need to be normalised
+     * @param {Number} maxDistance - How far the ray reaches, defaults to Infinity
+     * @param {Number} mask - The layer bits the ray can hit, defaults to every layer
+     * @param {Entity|Array} ignore - An entity or a list of entities the ray passes through, like the one casting it
+     * @returns @type {Object|null} - The nearest hit { entity, point, normal, distance }, or null. Hits on a tilemap's
+     * solid tiles have entity set to null and carry the tilemap and tile instead
+     * @description Walks the spatial hash cells along the ray, so only entities near it are tested
+     * @example
+     * // ground probe below the player, ignoring the player's own layer
+     * const ground = this.raycast({ x: player.x + 25, y: player.y + 50 }, { x: 0, y: 1 }, 4, ~LAYERS.player);
+     */
+    raycast(origin, direction, maxDistance = Infinity, mask = 0xffffffff, ignore = null) {
+      const length = Math.hypot(direction.x, direction.y);
+      if (!length) {
+        return null;
       }
+      const unit = { x: direction.x / length, y: direction.y / length };
+      const ignored = [].concat(ignore || []);
+      const tested = new Set();
+      let nearest = null;
+      this.walkRay(origin, unit, maxDistance, (entities, distance) => {
+        // Anything in this cell or beyond is further than the hit already found
+        if (nearest && nearest.distance <= distance) {
+          return false;
+        }
+        entities.forEach((entity) => {
+          if (tested.has(entity) || ignored.includes(entity)) {
+            return;
+          }
+          tested.add(entity);
+          if (((entity.collider ? entity.collider.layer : 1) & mask) === 0) {
+            return;
+          }
+          const reach = nearest ? nearest.distance : maxDistance;
+          const bounds = this.queryBounds(entity);
+          if (!rayHitsBounds(bounds, origin, unit, reach)) {
+            return;
+          }
+          const hit = raycastShape(this.queryShape(entity, bounds), origin, unit, reach);
+          if (hit && (!nearest || hit.distance < nearest.distance)) {
+            nearest = {
+              entity: entity,
+              point: { x: origin.x + unit.x * hit.distance, y: origin.y + unit.y * hit.distance },
+              normal: hit.normal,
+              distance: hit.distance,
+            };
+          }
+        });
+      });
+      this.scene.tilemaps.forEach((tilemap) => {
+        if ((tilemap.collisionLayer & mask) === 0) {
+          return;
+        }
+        const hit = tilemap.raycast(origin, unit, nearest ? nearest.distance : maxDistance);
+        if (hit && (!nearest || hit.distance < nearest.distance)) {
+          nearest = {
+            entity: null,
+            tilemap: tilemap,
+            tile: hit.tile,
+            point: { x: origin.x + unit.x * hit.distance, y: origin.y + unit.y * hit.distance },
+            normal: hit.normal,
+            distance: hit.distance,
+          };
+        }
+      });
+      return nearest;
     }
   
     /**
-     * @method Object
-     * @returns @type {HTMLElement} - The entity element
+     * @method queryRect
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Number} width
+     * @param {Number} height
+     * @param {Number} mask - The layer bits to include, defaults to every layer
+     * @returns @type {Array} - The entities overlapping the rectangle
+     * @example
+     * const inBlastRadius = this.queryRect(bomb.x - 50, bomb.y - 50, 150, 150, LAYERS.enemy);
      */
-    Object() {
-      return this.element;
+    queryRect(x, y, width, height, mask = 0xffffffff) {
+      const rect = { x: x, y: y, width: width, height: height };
+      const rectShape = boxShape(rect);
+      return this.queryCandidates(rect, mask)
+        .filter(
+          ({ entity, bounds }) =>
+            boundsOverlap(rect, bounds) && separateShapes(rectShape, this.queryShape(entity, bounds))
+        )
+        .map(({ entity }) => entity);
     }
   
     /**
-     * @method setPosition
-     * @param {*} x
-     * @param {*} y
-     * @description Set the position of the entity
+     * @method queryPoint
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Number} mask - The layer bits to include, defaults to every layer
+     * @returns @type {Array} - The entities containing the point
      * @example
-     * entity.setPosition(100, 100);
-     * entity.setPosition(entity.x + 10, entity.y);
+     * // mouse picking, the mouse position is relative to the page
+     * const picked = this.queryPoint(mouse.x, mouse.y);
      */
-    setPosition(x, y) {
-      if (x && y) {
-        this.x = x;
-        this.y = y;
-        this.render();
-      }
+    queryPoint(x, y, mask = 0xffffffff) {
+      const point = { x: x, y: y };
+      return this.queryCandidates({ x: x, y: y, width: 0, height: 0 }, mask)
+        .filter(
+          ({ entity, bounds }) =>
+            x >= bounds.x &&
+            y >= bounds.y &&
+            x <= bounds.x + bounds.width &&
+            y <= bounds.y + bounds.height &&
+            shapeContainsPoint(this.queryShape(entity, bounds), point)
+        )
+        .map(({ entity }) => entity);
+    }
+  
+    /**
+     * @method getContacts
+     * @param {Entity} entity
+     * @returns @type {Array} - The contacts involving the entity during the last step
+     */
+    getContacts(entity) {
+      return this.contacts.filter((contact) => contact.a === entity || contact.b === entity);
     }
   }
   
+  let nextTilemapId = 1;
+  
   /**
-   * @class UI
-   * @description Base class for UI elements
-   * @param {Number} x - The x position of the UI element
-   * @param {Number} y - The y position of the UI element
-   * @param {Number} width - The width of the UI element
-   * @param {Number} height - The height of the UI element
-   * @param {String|HTMLElement} customContent - Custom content for the UI element
-   * @param {String} tag - The tag for the UI element
-   * @property {HTMLElement} element - The UI element
-   * @method on - Add an event listener to the UI element
+   * @constant TILE_FLIP_FLAGS
+   * @description The high bits of a tile id that flip the tile, as in Tiled. The rest of the id is the tile itself
+   */
+  const TILE_FLIP_FLAGS = { horizontal: 0x80000000, vertical: 0x40000000, diagonal: 0x20000000, mask: 0x1fffffff };
+  
+  /**
+   * @class Tilemap
+   * @description Grid of tiles drawn from tileset images. Tiles are rendered in chunks of DOM elements that are only built
+   * and attached while they are near the view, each tile showing its part of the tileset through background-position
+   * @param {Object} options
+   * @param {Number} options.tileWidth - The width of a grid cell in pixels
+   * @param {Number} options.tileHeight - The height of a grid cell in pixels
+   * @param {Array} options.tilesets - { image, columns, firstgid, tileWidth, tileHeight, margin, spacing, tiles }, tile ids from
+   * firstgid (default 1) onwards come from the tileset and tiles holds properties per local tile id, e.g. { 3: { solid: true } }
+   * @param {Array} options.layers - { name, data, zIndex, visible, collides, properties, offsetX, offsetY }, data is an array
+   * of rows of tile ids where 0 is empty, a layer that collides makes every tile in it solid. Ids may carry TILE_FLIP_FLAGS.
+   * offsetX and offsetY move the layer's grid by a number of pixels
+   * @param {Number} options.x - The map's position in the world
+   * @param {Number} options.y
+   * @param {Number} options.chunkSize - The number of tiles along each side of a chunk, defaults to 16
+   * @property {HTMLElement} element - The map element, added to a scene's layer by Scene.addTilemap
+   * @property {Number} collisionLayer - The collision layer bits of solid tiles, see Collider
+   * @property {Number} collisionMask - The collision layer bits solid tiles collide with
+   * @method getTile - The tile id at a cell
+   * @method setTile - Change the tile id at a cell
+   * @method getTileProperties - The properties of a tile id
+   * @method isSolid - Whether any layer has a solid tile at a cell
+   * @method getSolidTiles - The solid tiles overlapping a box
+   * @method raycast - The first solid tile along a ray
+   * @method render - Attach the chunks near the view
    * @example
-   * const uiElement = new UI(100, 100, 200, 50, div, 'startui');
-   * uiElement.on('click', () => {
-   * console.log('UI element clicked.');
+   * const level = new Tilemap({
+   *  tileWidth: 32,
+   *  tileHeight: 32,
+   *  tilesets: [{ image: './tiles.png', columns: 8, tiles: { 4: { solid: true, damage: 1 } } }],
+   *  layers: [
+   *    { name: 'ground', collides: true, data: [[1, 1, 1], [2, 2, 2]] },
+   *    { name: 'decoration', zIndex: 2, data: [[0, 5, 0], [0, 0, 6]] },
+   *  ],
    * });
-   **/
-  class UI {
-    constructor(x, y, width, height, customContent, tag) {
-      this.element = document.createElement("div");
-      this.element.style.position = "absolute";
-      this.element.style.width = width + "px";
-      this.element.style.height = height + "px";
-      this.element.style.left = x + "px";
-      this.element.style.top = y + "px";
-      this.element.style.zIndex = "1"; // Ensure UI elements are displayed above entities
-      if (tag === undefined) {
-        throw new Error("UI element must have a tag");
-      }
-      this.element.id = tag;
-      this.element.style.pointerEvents = "none"; // Disable pointer events for UI elements
-      // Append custom content to the UI element
-      if (customContent) {
-        if (typeof customContent === "string") {
-          // If customContent is a string, treat it as HTML content
-          this.element.innerHTML = customContent;
-        } else if (customContent instanceof HTMLElement) {
-          // If customContent is an HTMLElement, append it directly
-          this.element.appendChild(customContent);
-        }
-      }
+   * this.addTilemap(level);
+   */
+  class Tilemap {
+    constructor(options) {
+      this.id = nextTilemapId++;
+      this.tileWidth = options.tileWidth;
+      this.tileHeight = options.tileHeight;
+      this.x = options.x || 0;
+      this.y = options.y || 0;
+      this.chunkSize = options.chunkSize || 16;
+      this.collisionLayer = 1;
+      this.collisionMask = 0xffffffff;
+      this.tilesets = (options.tilesets || [])
+        .map((tileset) => ({
+          firstgid: 1,
+          tileWidth: options.tileWidth,
+          tileHeight: options.tileHeight,
+          margin: 0,
+          spacing: 0,
+          tiles: {},
+          ...tileset,
+        }))
+        .sort((a, b) => a.firstgid - b.firstgid);
+  
+      this.layers = (options.layers || []).map((layer, index) => ({
+        name: layer.name || `layer${index}`,
+        data: layer.data,
+        zIndex: layer.zIndex !== undefined ? layer.zIndex : "0", // Below entities unless raised
+        visible: layer.visible !== false,
+        collides: !!layer.collides,
+        properties: layer.properties || {},
+        offsetX: layer.offsetX || 0,
+        offsetY: layer.offsetY || 0,
+      }));
+      this.rows = Math.max(0, ...this.layers.map((layer) => layer.data.length));
+      this.columns = Math.max(0, ...this.layers.map((layer) => Math.max(0, ...layer.data.map((row) => row.length))));
+  
+      this.outputs = []; // Every set of elements the map is drawn into, see createOutput
+      this.output = this.createOutput();
+      this.element = this.output.element;
     }
   
-    // Method to load external HTML content
-    async require(url) {
-      try {
-        const response = await fetch(url);
-        if (!response.ok) {
-          throw new Error(`Failed to load external HTML from ${url}`);
-        }
-        const htmlContent = await response.text();
-        this.element.innerHTML = htmlContent;
-      } catch (error) {
-        console.error(error);
-      }
+    /**
+     * @method createOutput
+     * @returns @type {Object} - { element, layers, visibleChunks }, a separate set of elements to draw the map into,
+     * used by viewports that show the map from another view. Each layer has its element and its built chunks
+     * @private
+     */
+    createOutput() {
+      const element = document.createElement("div");
+      element.style.position = "absolute";
+      element.style.left = this.x + "px";
+      element.style.top = this.y + "px";
+      element.style.pointerEvents = "none";
+      const output = {
+        element: element,
+        layers: this.layers.map((layer) => {
+          const layerElement = document.createElement("div");
+          layerElement.style.position = "absolute";
+          layerElement.style.left = layer.offsetX + "px";
+          layerElement.style.top = layer.offsetY + "px";
+          layerElement.style.zIndex = layer.zIndex;
+          layerElement.style.display = layer.visible ? "" : "none";
+          element.appendChild(layerElement);
+          return { element: layerElement, chunks: new Map() }; // Built chunk elements by "column,row"
+        }),
+        visibleChunks: null,
+      };
+      this.outputs.push(output);
+      return output;
     }
   
     /**
-     * @method on
-     * @param {Identifier} target - the target element id - useful for nested views and imported ui elements
-     * @param {Event} event - The event to listen for
-     * @param {Function} callback  - The callback function
-     * @description Add an event listener to the UI element
+     * @method removeOutput
+     * @param {Object} output - An output made with createOutput
+     * @private
      */
+    removeOutput(output) {
+      this.outputs = this.outputs.filter((other) => other !== output);
+      output.element.remove();
+    }
   
-    on(target, event, callback) {
-      // wait for the element to be rendered
-      setTimeout(() => {
-        this.element.style.pointerEvents = "auto"; // Enable pointer events for UI elements
-        this.element.addEventListener(event, (e) => {
-          if (e.target.id === target) {
-            callback(e);
+    /**
+     * @method fromJSON
+     * @param {Object} data - { tileWidth, tileHeight, tilesets, layers } as for the constructor, layer data may also be
+     * a flat array with the layer's width
+     * @param {String} baseUrl - The url of the JSON file, tileset images are resolved relative to it
+     * @returns @type {Tilemap}
+     * @example
+     * const level = Tilemap.fromJSON(await engine.assets.load('./levels/1.json'), './levels/1.json');
+     * @static
+     */
+    static fromJSON(data, baseUrl) {
+      return new Tilemap({
+        ...data,
+        tilesets: (data.tilesets || []).map((tileset) => ({
+          ...tileset,
+          image: baseUrl ? resolveAssetUrl(tileset.image, baseUrl) : tileset.image,
+        })),
+        layers: (data.layers || []).map((layer) => {
+          if (!Array.isArray(layer.data[0])) {
+            const rows = [];
+            for (let i = 0; i < layer.data.length; i += layer.width) {
+              rows.push(layer.data.slice(i, i + layer.width));
+            }
+            return { ...layer, data: rows };
           }
-        });
-      }, 0);
+          return layer;
+        }),
+      });
     }
+  
     /**
-     * @method updateContent
-     * @param {*} content
-     * @description Update the content of the UI element
+     * @method fromTiled
+     * @param {Object} map - A map from the tiled asset loader
+     * @returns @type {Tilemap} - The map's tile layers. Layers with a collides property are solid, tile layers after the
+     * first object layer are drawn above entities unless they have a zIndex property. Layer offsets move a layer by
+     * whole tiles within the map's grid and by the part of a tile left over in pixels
+     * @example
+     * const level = Tilemap.fromTiled(await engine.assets.load('./levels/1.tmj'));
+     * @static
      */
-    updateContent(content) {
-      this.element.innerHTML = content;
+    static fromTiled(map) {
+      let aboveEntities = false;
+      const layers = [];
+      map.layers.forEach((layer) => {
+        if (layer.type === "objectgroup") {
+          aboveEntities = true;
+        }
+        if (layer.type !== "tilelayer") {
+          return;
+        }
+        // Whole tiles of the offset shift the layer's data, what is left moves its grid by a few pixels
+        const column = Math.floor((layer.offsetX || 0) / map.tileWidth);
+        const row = Math.floor((layer.offsetY || 0) / map.tileHeight);
+        layers.push({
+          name: layer.name,
+          data: layer.data,
+          column: column,
+          row: row,
+          offsetX: (layer.offsetX || 0) - column * map.tileWidth,
+          offsetY: (layer.offsetY || 0) - row * map.tileHeight,
+          visible: layer.visible,
+          collides: !!layer.properties.collides,
+          properties: layer.properties,
+          zIndex: layer.properties.zIndex !== undefined ? layer.properties.zIndex : aboveEntities ? "2" : "0",
+        });
+      });
+      // Layers offset up or left move the map's origin, the others are padded with empty cells
+      const left = Math.min(0, ...layers.map((layer) => layer.column));
+      const top = Math.min(0, ...layers.map((layer) => layer.row));
+      layers.forEach((layer) => {
+        const padding = new Array(layer.column - left).fill(0);
+        const emptyRows = new Array(layer.row - top).fill(null).map(() => []);
+        layer.data = emptyRows.concat(layer.data.map((row) => padding.concat(row)));
+        delete layer.column;
+        delete layer.row;
+      });
+      return new Tilemap({
+        tileWidth: map.tileWidth,
+        tileHeight: map.tileHeight,
+        x: left * map.tileWidth,
+        y: top * map.tileHeight,
+        tilesets: map.tilesets,
+        layers: layers,
+      });
     }
   
     /**
-     * @method Object
-     * @description Use to explicitly return the UI element
-     * @returns @type {HTMLElement} - The UI element
+     * @method getLayer
+     * @param {String|Number} layer - A layer name or index
+     * @returns @type {Object} - The layer
+     * @private
      */
-    Object() {
-      return this.element;
+    getLayer(layer) {
+      const found = typeof layer === "number" ? this.layers[layer] : this.layers.find((other) => other.name === layer);
+      if (!found) {
+        throw new Error(`Tilemap has no layer "${layer}"`);
+      }
+      return found;
     }
-  }
   
-  /***
-   * @class Scene
-   * @description Base class for scenes
-   * @param {ReduxEngine} engine - The ReduxEngine instance
-   * @property {ReduxEngine} engine - The ReduxEngine instance
-   * @property {Array} entities - The entities in the scene
-   * @property {Object} customInputs - Custom input bindings for the scene
-   * @property {Array} uiElements - The UI elements in the scene
-   * @method addUIElement - Add a UI element to the scene
-   * @method removeUIElements - Remove all UI elements from the scene
-   * @method removeUIElement - Remove a UI element from the scene
-   * @method uiLogic - Implement UI logic in derived scenes
-   * @method start - Start the scene
-   * @method stop - Stop the scene
-   * @method startLogic - Implement custom start logic in derived scenes
-   * @method inputHandler - Implement custom input setup in derived scenes
-   * @method addCustomInput - Add a custom input binding to the scene
-   * @method cleanupInputs - Remove custom input bindings from the scene
-   * @example
-   * class StartMenuScene extends Scene {
-   *  constructor(engine) {
-   *     super(engine);
-   * }
-   * startLogic() {
-   *    console.log('StartMenuScene: Scene-specific logic here.');
-   * }
-   * uiLogic() {
-   *   console.log('StartMenuScene: UI logic here.');
-   * }
-   * inputHandler() {
-   *   this.addCustomInput('ArrowRight', () => {
-   *     console.log('StartMenuScene: ArrowRight pressed.');
-   *  }, () => {
-   *    console.log('StartMenuScene: ArrowRight released.');
-   * });
-   * }
-   * }
-   *
-   */
-  class Scene {
-    constructor(engine) {
-      /**
-       * @property {ReduxEngine} engine - The ReduxEngine instance
-       * @param {String} containerId - The id of the container element
-       * @param {Number} width - The width of the container element
-       * @param {Number} height - The height of the container element
-       * @param {Number} frameRate - The frame rate of the game
-       * @property {HTMLElement} container - The container element
-       * @property {Array} entities - The entities in the game
-       * @property {Boolean} isRunning - The running state of the game
-       * @property {Function} updateCallback - The update callback function
-       * @property {Number} frameRate - The frame rate of the game
-       * @property {Number} frameInterval - The frame interval of the game
-       * @property {Number} lastFrameTime - The last frame time of the game
-       * @property {Object} keyStates - The key states of the game
-       * @property {HTMLElement} fpsElement - The FPS element of the game
-       * @property {Scene} currentScene - The current scene of the game
-       * @property {Object} scenes - The scenes of the game
-       * @property {Camera} camera - The camera of the game
-       * @method setUpdateCallback - Set the update callback function
-       * @object {Object} inputState - The engine input state
-       * @method setUpdateCallback - Set the update callback function
-       * @method addEntity - Add an entity to the game
-       * @method removeEntity - Remove an entity from the game
-       * @method clearEntities - Clear all entities from the game
-       * @method addScene - Add a scene to the game
-       * @method startScene - Start a scene in the game
-       * @method handleInput - Handle input for the game
-       * @method removeInputListeners - Remove input listeners from the game
-       * @method logFps - Log the FPS of the game
-       * @method loop - The game loop
-       * @method start - Start the game
-       * @method setupInputListeners - Setup input listeners for the game
-       * @private
-       */
-      this.engine = engine;
-      this.entities = [];
-      this.customInputs = {}; // Custom input bindings for the scene
-      this.uiElements = [];
-    }
     /**
-     * @method addUIElement
-     * @description Allows you to add ui elements to the scene
-     * @param {*} uiElement
-     * @typedef {Object} uiElement
-     * @property {HTMLElement} element - The UI element
-     * @property {Function} on - Add an event listener to the UI element
-     * @example
-     * const uiElement = new UI(100, 100, 200, 50, div, 'startui');
-     * this.addUIElement(uiElement);
-     *
+     * @method getTile
+     * @param {String|Number} layer - A layer name or index
+     * @param {Number} column
+     * @param {Number} row
+     * @returns @type {Number} - The tile id, 0 for empty or outside the map
      */
+    getTile(layer, column, row) {
+      const data = this.getLayer(layer).data;
+      return (data[row] && data[row][column]) || 0;
+    }
   
-    addUIElement(uiElement = Object) {
-      this.uiElements.push(uiElement);
-      this.engine.container.appendChild(uiElement.element);
+    /**
+     * @method setTile
+     * @param {String|Number} layer - A layer name or index
+     * @param {Number} column
+     * @param {Number} row
+     * @param {Number} id - The new tile id, 0 to clear the cell
+     * @description Change a tile, its chunk is rebuilt on the next render
+     */
+    setTile(layer, column, row, id) {
+      const found = this.getLayer(layer);
+      if (!found.data[row]) {
+        found.data[row] = [];
+      }
+      found.data[row][column] = id;
+      this.rows = Math.max(this.rows, row + 1);
+      this.columns = Math.max(this.columns, column + 1);
+      const key = `${Math.floor(column / this.chunkSize)},${Math.floor(row / this.chunkSize)}`;
+      const index = this.layers.indexOf(found);
+      this.outputs.forEach((output) => {
+        const chunks = output.layers[index].chunks;
+        if (chunks.has(key)) {
+          chunks.get(key).remove();
+          chunks.delete(key);
+        }
+        output.visibleChunks = null;
+      });
     }
+  
     /**
-     * @method removeUIElements
-     * @description Removes all UI elements from the scene
-     * @example
-     * this.removeUIElements();
+     * @method getTileset
+     * @param {Number} id - A tile id
+     * @returns @type {Object} - The tileset the id belongs to, or undefined
+     * @private
      */
-    removeUIElements() {
-      this.uiElements.forEach((uiElement) => {
-        uiElement.element.remove();
+    getTileset(id) {
+      id = id & TILE_FLIP_FLAGS.mask;
+      let found;
+      this.tilesets.forEach((tileset) => {
+        if (id >= tileset.firstgid) {
+          found = tileset;
+        }
       });
-      this.uiElements = [];
+      return found;
     }
+  
     /**
-     * @method removeUIElement
-     * @description Removes a UI element from the scene
-     * @param {*} uiElement
-     * @example
-     * this.removeUIElement(uiElement);
-     *
-     * **/
-    removeUIElement(uiElement) {
-      this.uiElements = this.uiElements.filter(
-        (element) => element !== uiElement
-      );
-      uiElement.element.remove();
+     * @method getTileSource
+     * @param {Number} id - A tile id
+     * @returns @type {Object|null} - { tileset, x, y } where the tile is in its tileset image, or null for unknown ids
+     * @private
+     */
+    getTileSource(id) {
+      const tileset = this.getTileset(id);
+      if (!tileset) {
+        return null;
+      }
+      const index = (id & TILE_FLIP_FLAGS.mask) - tileset.firstgid;
+      return {
+        tileset: tileset,
+        x: tileset.margin + (index % tileset.columns) * (tileset.tileWidth + tileset.spacing),
+        y: tileset.margin + Math.floor(index / tileset.columns) * (tileset.tileHeight + tileset.spacing),
+      };
     }
   
     /**
-     * @method uiLogic
-     * @description Implement UI logic in derived scenes this will be called when the scene is started
-     * @example
-     * uiLogic() {
-     *  this.startui.on('click', () => {
-     *   this.engine.startScene('Game');
-     * });
+     * @method getTileProperties
+     * @param {Number} id - A tile id
+     * @returns @type {Object} - The tile's properties from its tileset, an empty object if it has none
      */
-    uiLogic() {
-      // Implement UI logic here
+    getTileProperties(id) {
+      const tileset = this.getTileset(id);
+      return (tileset && tileset.tiles[(id & TILE_FLIP_FLAGS.mask) - tileset.firstgid]) || {};
     }
+  
     /**
-     * @method start
-     * @description Start the scene
+     * @method layerGrids
+     * @returns @type {Array} - { offsetX, offsetY } for every pixel offset the layers have, layers with the same offset
+     * share a grid
+     * @private
      */
-    start() {
-      this.entities.forEach((entity) => {
-        this.engine.addEntity(entity);
+    layerGrids() {
+      const grids = [];
+      this.layers.forEach(({ offsetX, offsetY }) => {
+        if (!grids.some((grid) => grid.offsetX === offsetX && grid.offsetY === offsetY)) {
+          grids.push({ offsetX: offsetX, offsetY: offsetY });
+        }
       });
-      console.log("Scene: Scene-specific logic here.");
-  
-      this.inputHandler(); // Call the custom input setup for the scene
-      this.startLogic(); // Call the custom start logic for the scene
-      this.uiLogic(); // Call the custom UI logic for the scene
+      return grids;
     }
+  
     /**
-     * @method stop
-     * @description Stop the scene
+     * @method isSolid
+     * @param {Number} column
+     * @param {Number} row
+     * @param {Number} offsetX - Only look at layers offset by this many pixels, defaults to 0
+     * @param {Number} offsetY
+     * @returns @type {Boolean} - Whether a layer that collides has a tile there, or any layer has a tile with the solid property
      */
+    isSolid(column, row, offsetX = 0, offsetY = 0) {
+      return this.layers.some((layer) => {
+        if (layer.offsetX !== offsetX || layer.offsetY !== offsetY) {
+          return false;
+        }
+        const id = (layer.data[row] && layer.data[row][column]) || 0;
+        return id !== 0 && (layer.collides || !!this.getTileProperties(id).solid);
+      });
+    }
   
-    stop() {
-      this.entities.forEach((entity) => {
-        this.engine.removeEntity(entity);
+    /**
+     * @method getSolidTiles
+     * @param {Object} bounds - A { x, y, width, height } box in world space
+     * @returns @type {Array} - { column, row, x, y, width, height, offsetX, offsetY } for each solid cell the box overlaps,
+     * offsetX and offsetY are the pixel offset of the layers the cell is in
+     */
+    getSolidTiles(bounds) {
+      const tiles = [];
+      this.layerGrids().forEach(({ offsetX, offsetY }) => {
+        const x = this.x + offsetX;
+        const y = this.y + offsetY;
+        const left = Math.max(0, Math.floor((bounds.x - x) / this.tileWidth));
+        const right = Math.min(this.columns - 1, Math.floor((bounds.x + bounds.width - x) / this.tileWidth));
+        const top = Math.max(0, Math.floor((bounds.y - y) / this.tileHeight));
+        const bottom = Math.min(this.rows - 1, Math.floor((bounds.y + bounds.height - y) / this.tileHeight));
+        for (let row = top; row <= bottom; row++) {
+          for (let column = left; column <= right; column++) {
+            if (this.isSolid(column, row, offsetX, offsetY)) {
+              tiles.push(this.tileAt(column, row, offsetX, offsetY));
+            }
+          }
+        }
       });
+      return tiles;
+    }
   
-      this.cleanupInputs(); // Remove custom input bindings for the scene
-      this.removeUIElements();
+    /**
+     * @method tileAt
+     * @param {Number} column
+     * @param {Number} row
+     * @param {Number} offsetX - The pixel offset of the cell's layers
+     * @param {Number} offsetY
+     * @returns @type {Object} - The cell as { column, row, x, y, width, height, offsetX, offsetY } in world space
+     * @private
+     */
+    tileAt(column, row, offsetX, offsetY) {
+      return {
+        column: column,
+        row: row,
+        x: this.x + offsetX + column * this.tileWidth,
+        y: this.y + offsetY + row * this.tileHeight,
+        width: this.tileWidth,
+        height: this.tileHeight,
+        offsetX: offsetX,
+        offsetY: offsetY,
+      };
     }
   
     /**
-     * @method startLogic
-     * @description Implement custom start logic in derived scenes
+     * @method raycast
+     * @param {Object} origin - { x, y } the ray starts at
+     * @param {Object} direction - { x, y } unit direction
+     * @param {Number} maxDistance
+     * @returns @type {Object|null} - { tile, normal, distance } of the first solid tile, walking the grid cell by cell
      */
-    startLogic() {
-      // Implement custom start logic in derived scenes
+    raycast(origin, direction, maxDistance = Infinity) {
+      let nearest = null;
+      this.layerGrids().forEach(({ offsetX, offsetY }) => {
+        const hit = this.raycastGrid(origin, direction, nearest ? nearest.distance : maxDistance, offsetX, offsetY);
+        if (hit && (!nearest || hit.distance < nearest.distance)) {
+          nearest = hit;
+        }
+      });
+      return nearest;
     }
   
     /**
-     * @method inputHandler
-     * @description Implement custom input setup in derived scenes
+     * @method raycastGrid
+     * @param {Object} origin - { x, y } the ray starts at
+     * @param {Object} direction - { x, y } unit direction
+     * @param {Number} maxDistance
+     * @param {Number} offsetX - The pixel offset of the layers to walk
+     * @param {Number} offsetY
+     * @returns @type {Object|null} - { tile, normal, distance } of the first solid tile in the layers with that offset
+     * @private
      */
-    inputHandler() {
-      // Implement custom input setup in derived scenes
+    raycastGrid(origin, direction, maxDistance, offsetX, offsetY) {
+      const gridX = this.x + offsetX;
+      const gridY = this.y + offsetY;
+      const startX = (origin.x - gridX) / this.tileWidth;
+      const startY = (origin.y - gridY) / this.tileHeight;
+      let column = Math.floor(startX);
+      let row = Math.floor(startY);
+      const stepX = Math.sign(direction.x);
+      const stepY = Math.sign(direction.y);
+      // Distance along the ray to cross one cell, and to the next cell boundary on each axis
+      const deltaX = stepX ? Math.abs(this.tileWidth / direction.x) : Infinity;
+      const deltaY = stepY ? Math.abs(this.tileHeight / direction.y) : Infinity;
+      let nextX = stepX ? (stepX > 0 ? column + 1 - startX : startX - column) * deltaX : Infinity;
+      let nextY = stepY ? (stepY > 0 ? row + 1 - startY : startY - row) * deltaY : Infinity;
+      let distance = 0;
+      let normal = { x: -direction.x, y: -direction.y };
+      const limit = Math.min(
+        maxDistance,
+        Math.hypot(this.columns * this.tileWidth, this.rows * this.tileHeight) +
+          Math.hypot(origin.x - gridX, origin.y - gridY)
+      );
+      while (distance <= limit) {
+        if (this.isSolid(column, row, offsetX, offsetY)) {
+          return { tile: this.tileAt(column, row, offsetX, offsetY), normal: normal, distance: distance };
+        }
+        if (nextX < nextY) {
+          distance = nextX;
+          nextX += deltaX;
+          column += stepX;
+          normal = { x: -stepX, y: 0 };
+        } else {
+          distance = nextY;
+          nextY += deltaY;
+          row += stepY;
+          normal = { x: 0, y: -stepY };
+        }
+      }
+      return null;
     }
   
     /**
-     * @method addCustomInput
-     * @param {*} key
-     * @param {*} startCallback
-     * @param {*} stopCallback
-     * @description Add a custom input binding to the scene
-     * @key {String}
-     * - Mouse: 'mouse0', 'mouse1', 'mouse2', 'getMousePosition', gamepad: gampad[INDEX]_button[INDEX], gamepad[INDEX]_axis, keyboard: 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Space', 'Enter', 'Escape'
-     * @example
-     * this.addCustomInput('ArrowRight', () => {
-     * console.log('StartMenuScene: ArrowRight pressed.');
-     * }, () => {
-     * console.log('StartMenuScene: ArrowRight released.');
-     * });
-     *
-     * this.addCustomInput('gamepad0_button0', (e) => {
-     * console.log('gamepad0_button0 pressed.');
-     * }, () => {});
-     *
-     * this.addCustomInput('gamepad0_axis', (e) => {
-     *  SuperClass = engine // as per example
-     *  e = this.SuperClass.inputState.gamepad[0].axis[0]
-     *  console.log(e)
-     * }, () => {});
-     *
-     * this.addCustomInput('mouse0', (e) => {
-     *  console.log(e)
-     * }, () => {
-     *  console.log(`mouse0 released`)
-     * });
-     *
-     *
-     *
+     * @method buildChunk
+     * @param {Object} layer
+     * @param {Number} chunkColumn
+     * @param {Number} chunkRow
+     * @returns @type {HTMLElement} - An element holding one background-positioned element per tile in the chunk
+     * @private
      */
-    addCustomInput(key, startCallback, stopCallback) {
-      this.engine.inputHandler(key, startCallback, stopCallback);
+    buildChunk(layer, chunkColumn, chunkRow) {
+      const chunk = document.createElement("div");
+      chunk.style.position = "absolute";
+      chunk.style.left = chunkColumn * this.chunkSize * this.tileWidth + "px";
+      chunk.style.top = chunkRow * this.chunkSize * this.tileHeight + "px";
+      for (let y = 0; y < this.chunkSize; y++) {
+        const row = chunkRow * this.chunkSize + y;
+        for (let x = 0; x < this.chunkSize; x++) {
+          const column = chunkColumn * this.chunkSize + x;
+          const id = (layer.data[row] && layer.data[row][column]) || 0;
+          const source = id && this.getTileSource(id);
+          if (!source) {
+            continue;
+          }
+          const { tileset, x: sourceX, y: sourceY } = source;
+          const tile = document.createElement("div");
+          // Tiles taller than the grid are anchored to the bottom of their cell
+          tile.style.cssText = `position: absolute; left: ${x * this.tileWidth}px; top: ${
+            (y + 1) * this.tileHeight - tileset.tileHeight
+          }px; width: ${tileset.tileWidth}px; height: ${tileset.tileHeight}px; background-image: url(${
+            tileset.image
+          }); background-position: -${sourceX}px -${sourceY}px; background-repeat: no-repeat;`;
+          if (id & ~TILE_FLIP_FLAGS.mask) {
+            tile.style.transform = tileTransform(id);
+          }
+          chunk.appendChild(tile);
+        }
+      }
+      return chunk;
     }
   
     /**
-     * @method cleanupInputs
-     * @description Remove custom input bindings from the scene
+     * @method render
+     * @param {Object} view - The { x, y, width, height } of the world on screen
+     * @param {Object} output - The elements to draw into, defaults to the map's element
+     * @description Attach the chunks that overlap the view, plus a one chunk margin, and detach the rest. Chunks are
+     * built the first time they come near the view and kept for later
      */
-    cleanupInputs() {
-      for (const key in this.customInputs) {
-        if (this.customInputs.hasOwnProperty(key)) {
-          this.engine.removeInputListeners(key);
+    render(view, output = this.output) {
+      const chunkWidth = this.chunkSize * this.tileWidth;
+      const chunkHeight = this.chunkSize * this.tileHeight;
+      const left = Math.max(0, Math.floor((view.x - this.x) / chunkWidth) - 1);
+      const right = Math.min(Math.ceil(this.columns / this.chunkSize) - 1, Math.floor((view.x + view.width - this.x) / chunkWidth) + 1);
+      const top = Math.max(0, Math.floor((view.y - this.y) / chunkHeight) - 1);
+      const bottom = Math.min(Math.ceil(this.rows / this.chunkSize) - 1, Math.floor((view.y + view.height - this.y) / chunkHeight) + 1);
+      const range = `${left},${right},${top},${bottom}`;
+      if (range === output.visibleChunks) {
+        return;
+      }
+      output.visibleChunks = range;
+  
+      this.layers.forEach((layer, index) => {
+        const { element, chunks } = output.layers[index];
+        chunks.forEach((chunk, key) => {
+          const [column, row] = key.split(",").map(Number);
+          if (column < left || column > right || row < top || row > bottom) {
+            chunk.remove();
+          }
+        });
+        for (let row = top; row <= bottom; row++) {
+          for (let column = left; column <= right; column++) {
+            const key = `${column},${row}`;
+            let chunk = chunks.get(key);
+            if (!chunk) {
+              chunk = this.buildChunk(layer, column, row);
+              chunks.set(key, chunk);
+            }
+            if (!chunk.parentNode) {
+              element.appendChild(chunk);
+            }
+          }
+        }
+      });
+    }
+  }
+  
+  /**
+   * @function tileTransform
+   * @param {Number} id - A tile id with TILE_FLIP_FLAGS set
+   * @returns @type {String} - The CSS transform that flips the tile, the diagonal flip is applied first as in Tiled
+   * @private
+   */
+  function tileTransform(id) {
+    let [a, b, c, d] = id & TILE_FLIP_FLAGS.diagonal ? [0, 1, 1, 0] : [1, 0, 0, 1];
+    if (id & TILE_FLIP_FLAGS.horizontal) {
+      a = -a;
+      c = -c;
+    }
+    if (id & TILE_FLIP_FLAGS.vertical) {
+      b = -b;
+      d = -d;
+    }
+    return `matrix(${a}, ${b}, ${c}, ${d}, 0, 0)`;
+  }
+  
+  /**
+   * @function tiledProperties
+   * @param {Array|Object} properties - Tiled's [{ name, type, value }] custom properties
+   * @returns @type {Object} - The properties as { name: value }
+   * @private
+   */
+  function tiledProperties(properties) {
+    if (!Array.isArray(properties)) {
+      return { ...properties };
+    }
+    const result = {};
+    properties.forEach((property) => {
+      result[property.name] = property.value;
+    });
+    return result;
+  }
+  
+  /**
+   * @function parseTiledXml
+   * @param {String} text - A .tmx map or .tsx tileset
+   * @returns @type {Object} - The map or tileset in the shape of Tiled's JSON format
+   * @private
+   */
+  function parseTiledXml(text) {
+    const root = new DOMParser().parseFromString(text, "application/xml").documentElement;
+    if (root.nodeName === "parsererror" || root.getElementsByTagName("parsererror").length) {
+      throw new Error("Invalid XML");
+    }
+    const children = (element, names) => Array.from(element.children).filter((child) => names.includes(child.nodeName));
+    const attributes = (element) => {
+      const result = {};
+      Array.from(element.attributes).forEach((attribute) => {
+        const number = Number(attribute.value);
+        result[attribute.name] = attribute.value !== "" && !isNaN(number) ? number : attribute.value;
+      });
+      return result;
+    };
+    const properties = (element) =>
+      children(element, ["properties"]).flatMap((list) =>
+        Array.from(list.children).map((property) => {
+          const type = property.getAttribute("type") || "string";
+          const value = property.hasAttribute("value") ? property.getAttribute("value") : property.textContent;
+          return {
+            name: property.getAttribute("name"),
+            type: type,
+            value: type === "bool" ? value === "true" : ["int", "float", "object"].includes(type) ? Number(value) : value,
+          };
+        })
+      );
+    const object = (element) => {
+      const result = { ...attributes(element), properties: properties(element) };
+      children(element, ["ellipse", "point"]).forEach((child) => {
+        result[child.nodeName] = true;
+      });
+      children(element, ["polygon", "polyline"]).forEach((child) => {
+        result[child.nodeName] = child
+          .getAttribute("points")
+          .trim()
+          .split(/\s+/)
+          .map((pair) => {
+            const [x, y] = pair.split(",").map(Number);
+            return { x: x, y: y };
+          });
+      });
+      return result;
+    };
+    const layer = (element) => {
+      const result = { ...attributes(element), properties: properties(element) };
+      if (element.nodeName === "layer") {
+        const data = children(element, ["data"])[0];
+        result.type = "tilelayer";
+        result.encoding = data.getAttribute("encoding") || undefined;
+        result.compression = data.getAttribute("compression") || undefined;
+        if (result.encoding === "csv") {
+          result.data = data.textContent.split(",").map(Number);
+        } else if (result.encoding === "base64") {
+          result.data = data.textContent.trim();
+        } else {
+          result.data = children(data, ["tile"]).map((tile) => Number(tile.getAttribute("gid") || 0));
         }
+      } else if (element.nodeName === "objectgroup") {
+        result.type = "objectgroup";
+        result.objects = children(element, ["object"]).map(object);
+      } else {
+        result.type = element.nodeName;
+        result.layers = layers(element);
       }
+      return result;
+    };
+    const layers = (element) => children(element, ["layer", "objectgroup", "group", "imagelayer"]).map(layer);
+    const tileset = (element) => {
+      const result = { ...attributes(element), properties: properties(element), tiles: [] };
+      children(element, ["image"]).forEach((image) => {
+        result.image = image.getAttribute("source");
+        result.imagewidth = Number(image.getAttribute("width"));
+        result.imageheight = Number(image.getAttribute("height"));
+      });
+      children(element, ["tile"]).forEach((tile) => {
+        const objectgroup = children(tile, ["objectgroup"])[0];
+        result.tiles.push({
+          id: Number(tile.getAttribute("id")),
+          properties: properties(tile),
+          objectgroup: objectgroup ? layer(objectgroup) : undefined,
+        });
+      });
+      return result;
+    };
+  
+    if (root.nodeName === "tileset") {
+      return tileset(root);
     }
+    return {
+      ...attributes(root),
+      properties: properties(root),
+      tilesets: children(root, ["tileset"]).map(tileset),
+      layers: layers(root),
+    };
   }
-   
-  function require(PATH) {
-    if (!PATH.endsWith(".html") || !PATH.endsWith(".texture")) {
-      throw new Error("Only html and texture files are supported");
+  
+  /**
+   * @function parseTiledText
+   * @param {String} text - A Tiled map or tileset as JSON or XML
+   * @returns @type {Object} - The map or tileset in the shape of Tiled's JSON format
+   * @private
+   */
+  function parseTiledText(text) {
+    return text.trim().startsWith("<") ? parseTiledXml(text) : JSON.parse(text);
+  }
+  
+  /**
+   * @function readTiledTileset
+   * @param {Object} tileset - A tileset from a Tiled map, embedded or { firstgid, source } for an external tileset
+   * @param {String} url - The url of the map
+   * @param {AssetManager} assets - Loads the tileset image
+   * @returns @type {Promise} - Resolves with the tileset as Tilemap options once its image has loaded
+   * @private
+   */
+  function readTiledTileset(tileset, url, assets) {
+    const source = tileset.source ? resolveAssetUrl(tileset.source, url) : url;
+    const definition = tileset.source
+      ? fetchAsset(source, "tiled")
+          .then((response) => response.text())
+          .then(parseTiledText)
+      : Promise.resolve(tileset);
+    return definition.then((definition) => {
+      if (!definition.image) {
+        throw new Error(`Tileset ${definition.name} has no image, image collection tilesets are not supported`);
+      }
+      const image = resolveAssetUrl(definition.image, source);
+      const tiles = {};
+      (definition.tiles || []).forEach((tile) => {
+        const properties = tiledProperties(tile.properties || []);
+        // Tiles with collision shapes drawn in Tiled's tile collision editor are solid unless they say otherwise
+        if (tile.objectgroup && (tile.objectgroup.objects || []).length && properties.solid === undefined) {
+          properties.solid = true;
+        }
+        tiles[tile.id] = properties;
+      });
+      // Loaded like any other image so texture(url) and the tiles' background-image hit the cache
+      return assets.load("image", image).then(() => ({
+        firstgid: tileset.firstgid,
+        name: definition.name,
+        image: image,
+        imageWidth: definition.imagewidth,
+        imageHeight: definition.imageheight,
+        columns: definition.columns,
+        tileWidth: definition.tilewidth,
+        tileHeight: definition.tileheight,
+        margin: definition.margin || 0,
+        spacing: definition.spacing || 0,
+        tiles: tiles,
+      }));
+    });
+  }
+  
+  /**
+   * @function decodeTiledData
+   * @param {Object} layer - A Tiled tile layer
+   * @returns @type {Promise} - Resolves with the layer's tile ids, decoding base64 and gzip or zlib compressed data
+   * @private
+   */
+  function decodeTiledData(layer) {
+    if (Array.isArray(layer.data)) {
+      return Promise.resolve(layer.data);
+    }
+    const bytes = Uint8Array.from(atob(layer.data.trim()), (character) => character.charCodeAt(0));
+    const formats = { gzip: "gzip", zlib: "deflate" };
+    let buffer = Promise.resolve(bytes.buffer);
+    if (layer.compression) {
+      if (!formats[layer.compression]) {
+        return Promise.reject(new Error(`${layer.compression} compressed layers are not supported`));
+      }
+      buffer = new Response(
+        new Blob([bytes]).stream().pipeThrough(new DecompressionStream(formats[layer.compression]))
+      ).arrayBuffer();
     }
-    return fetch(PATH).then((res) => res.text());
+    return buffer.then((buffer) => {
+      const view = new DataView(buffer);
+      const ids = [];
+      for (let i = 0; i + 4 <= buffer.byteLength; i += 4) {
+        ids.push(view.getUint32(i, true));
+      }
+      return ids;
+    });
+  }
+  
+  /**
+   * @function flattenTiledLayers
+   * @param {Array} layers - Tiled layers, which may contain groups
+   * @param {Object} parent - The group the layers are in
+   * @returns @type {Array} - The layers without groups, with the groups' visibility and offsets applied
+   * @private
+   */
+  function flattenTiledLayers(layers, parent) {
+    const result = [];
+    layers.forEach((layer) => {
+      const flattened = {
+        ...layer,
+        visible: layer.visible !== false && layer.visible !== 0 && (!parent || parent.visible),
+        offsetx: (layer.offsetx || 0) + (parent ? parent.offsetx : 0),
+        offsety: (layer.offsety || 0) + (parent ? parent.offsety : 0),
+      };
+      if (layer.type === "group") {
+        result.push(...flattenTiledLayers(layer.layers || [], flattened));
+      } else {
+        result.push(flattened);
+      }
+    });
+    return result;
   }
+  
   /**
-   * @class Rfx - Physics engine
-   * @param {Entity} entity - The entity to apply physics to
-   * @param {Number} threshold - The threshold for the entity
-   * @pram {Number} gravity - The gravity for the entity
-   * @pram {Number} friction - The friction for the entity
-   * @pram {Number} bounceFactor - The bounce factor for the entity
-   * @pram {Number} terminalVelocity - The terminal velocity for the entity
-   * @pram {String} gravityDirection - The gravity direction for the entity
-   * @method setGravityDirection - Set the gravity direction for the entity
-   * @method update - Update the entity
-   * @example
-   * const rfx = new Rfx(entity, 0);
-   * rfx.setGravityDirection('down');
-   * rfx.update();
-   * 
-   * @description Base class for the redux engine physics engine
-   * 
+   * @function readTiledObject
+   * @param {Object} object - An object from a Tiled object layer
+   * @param {Object} layer - The object's layer
+   * @returns @type {Object} - The object with its position moved by the layer offset, tile objects are moved from Tiled's
+   * bottom left anchor to their top left corner like every other object
+   * @private
    */
+  function readTiledObject(object, layer) {
+    return {
+      id: object.id,
+      name: object.name || "",
+      type: object.type || object.class || "",
+      x: object.x + layer.offsetx,
+      y: object.y + layer.offsety - (object.gid ? object.height : 0),
+      width: object.width || 0,
+      height: object.height || 0,
+      rotation: object.rotation || 0,
+      gid: object.gid || 0,
+      visible: object.visible !== false && object.visible !== 0,
+      point: !!object.point,
+      ellipse: !!object.ellipse,
+      polygon: object.polygon || null,
+      polyline: object.polyline || null,
+      properties: tiledProperties(object.properties || []),
+    };
+  }
   
-  class Rfx {
-      constructor(entity, threshold) {
-          this.entity = entity;
-          this.threshold = threshold || 0; // Default threshold to 0 if not provided
-          this.gravity = 0.1;
-          this.friction = 0.9;
-          this.bounceFactor = 0.9;
-          this.terminalVelocity = 10;
-          this.gravityDirection = null;
-      }
-  
-      setGravityDirection(direction) {
-          this.gravityDirection = direction;
-      }
-  
-      update() {
-          if (this.gravityDirection === 'down') {
-              this.entity.y += this.gravity;
-              // Limit vertical velocity to the terminal velocity
-              this.entity.y = Math.min(this.entity.y, this.threshold + this.terminalVelocity);
-          } else if (this.gravityDirection === 'up') {
-              this.entity.y -= this.gravity;
-              // Limit vertical velocity to the negative of the terminal velocity
-              this.entity.y = Math.max(this.entity.y, this.threshold - this.terminalVelocity);
-          } else if (this.gravityDirection === 'left') {
-              this.entity.x -= this.gravity;
-              // Limit horizontal velocity to the negative of the terminal velocity
-              this.entity.x = Math.max(this.entity.x, -this.terminalVelocity);
-          } else if (this.gravityDirection === 'right') {
-              this.entity.x += this.gravity;
-              // Limit horizontal velocity to the terminal velocity
-              this.entity.x = Math.min(this.entity.x, this.terminalVelocity);
+  /**
+   * @function readTiledMap
+   * @param {String} text - A Tiled map as JSON (.tmj) or XML (.tmx)
+   * @param {String} url - The url of the map, tilesets and images are resolved relative to it
+   * @param {AssetManager} assets - Loads the tileset images
+   * @returns @type {Promise} - Resolves with { url, width, height, tileWidth, tileHeight, properties, tilesets, layers },
+   * tile layers have their data as rows of tile ids and their offsetX and offsetY, object layers have their objects
+   * with the offsets applied
+   * @private
+   */
+  function readTiledMap(text, url, assets) {
+    const data = parseTiledText(text);
+    if (data.infinite) {
+      return Promise.reject(new Error("Infinite maps are not supported"));
+    }
+    const layers = flattenTiledLayers(data.layers || []).filter(
+      (layer) => layer.type === "tilelayer" || layer.type === "objectgroup"
+    );
+    return Promise.all([
+      Promise.all((data.tilesets || []).map((tileset) => readTiledTileset(tileset, url, assets))),
+      Promise.all(
+        layers.map((layer) => {
+          const base = {
+            type: layer.type,
+            name: layer.name,
+            visible: layer.visible,
+            properties: tiledProperties(layer.properties || []),
+          };
+          if (layer.type === "objectgroup") {
+            return { ...base, objects: (layer.objects || []).map((object) => readTiledObject(object, layer)) };
           }
+          return decodeTiledData(layer).then((ids) => {
+            const rows = [];
+            for (let row = 0; row < layer.height; row++) {
+              rows.push(ids.slice(row * layer.width, (row + 1) * layer.width));
+            }
+            return { ...base, data: rows, offsetX: layer.offsetx, offsetY: layer.offsety };
+          });
+        })
+      ),
+    ]).then(([tilesets, layers]) => ({
+      url: url,
+      width: data.width,
+      height: data.height,
+      tileWidth: data.tilewidth,
+      tileHeight: data.tileheight,
+      properties: tiledProperties(data.properties || []),
+      tilesets: tilesets,
+      layers: layers,
+    }));
+  }
   
-          // Apply friction (reduces velocity)
-          this.entity.x *= this.friction;
-          this.entity.y *= this.friction;
+  /**
+   * @function isConvexPolygon
+   * @param {Array} points - A polygon's { x, y } points in order
+   * @returns @type {Boolean} - Whether every corner turns the same way
+   * @private
+   */
+  function isConvexPolygon(points) {
+    let sign = 0;
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      const c = points[(i + 2) % points.length];
+      const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+      if (cross !== 0) {
+        if (sign !== 0 && Math.sign(cross) !== sign) {
+          return false;
+        }
+        sign = Math.sign(cross);
+      }
+    }
+    return true;
+  }
   
-          // Apply bounce on collision with the ground (threshold)
-          if (this.entity.y > this.threshold) {
-              this.entity.y = this.threshold;
-              this.entity.y *= -this.bounceFactor;
-          }
+  /**
+   * @function createTiledEntity
+   * @param {Object} object - An object from a map's object layer
+   * @param {Object} layer - The object layer
+   * @param {Tilemap} tilemap - The map's tilemap, draws tile objects
+   * @param {Function} factory - Creates the entity for the object's type, an invisible Entity is made without one
+   * @returns @type {Entity} - The entity with the object's properties in its state and a collider for collision shapes.
+   * Rotated rectangles become polygons covering their rotated corners. Rotated tile objects and ellipses that are not
+   * circles throw, and so do concave polygons that would get a collider
+   * @private
+   */
+  function createTiledEntity(object, layer, tilemap, factory) {
+    let { x, y, width, height } = object;
+    let outline = object.polygon || object.polyline;
+    if (object.rotation) {
+      if (object.gid || (object.ellipse && width !== height)) {
+        throw new Error(
+          `Tiled object ${object.id} is rotated, only rotated rectangles, circles, polygons and polylines are supported`
+        );
+      }
+      // Tiled turns objects clockwise around their x, y
+      const angle = (object.rotation * Math.PI) / 180;
+      const rotate = (point) => ({
+        x: point.x * Math.cos(angle) - point.y * Math.sin(angle),
+        y: point.x * Math.sin(angle) + point.y * Math.cos(angle),
+      });
+      if (object.ellipse) {
+        const center = rotate({ x: width / 2, y: height / 2 });
+        x += center.x - width / 2;
+        y += center.y - height / 2;
+      } else {
+        outline = (
+          outline || [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }]
+        ).map(rotate);
+      }
+    }
+    const isPolygon = !!outline && !object.polyline;
+    let points = null;
+    if (outline) {
+      // Tiled's points are relative to the object, the entity covers their bounds
+      const minX = Math.min(...outline.map((point) => point.x));
+      const minY = Math.min(...outline.map((point) => point.y));
+      x += minX;
+      y += minY;
+      width = Math.max(...outline.map((point) => point.x)) - minX;
+      height = Math.max(...outline.map((point) => point.y)) - minY;
+      points = outline.map((point) => ({ x: point.x - minX, y: point.y - minY }));
+    }
+    const entity = factory
+      ? factory({ ...object, x: x, y: y, width: width, height: height })
+      : new Entity(x, y, width, height, "transparent");
+    entity.setState(object.properties);
+    if (!object.visible || !layer.visible) {
+      entity.element.style.display = "none";
+    }
+  
+    const source = object.gid && !factory && tilemap.getTileSource(object.gid);
+    if (source) {
+      const { tileset } = source;
+      const scaleX = width / tileset.tileWidth;
+      const scaleY = height / tileset.tileHeight;
+      entity.element.style.backgroundImage = `url(${tileset.image})`;
+      entity.element.style.backgroundSize = `${tileset.imageWidth * scaleX}px ${tileset.imageHeight * scaleY}px`;
+      entity.element.style.backgroundPosition = `-${source.x * scaleX}px -${source.y * scaleY}px`;
+      entity.element.style.backgroundRepeat = "no-repeat";
+      if (object.gid & ~TILE_FLIP_FLAGS.mask) {
+        entity.element.style.transform = tileTransform(object.gid);
+      }
+    }
+  
+    const solid = object.type === "collision" || !!object.properties.solid || !!layer.properties.collides;
+    if ((solid || object.properties.trigger) && !object.polyline) {
+      if (isPolygon && !isConvexPolygon(points)) {
+        throw new Error(`Tiled object ${object.id} is a concave polygon, split it into convex polygons to collide with it`);
       }
+      const shape = isPolygon ? "polygon" : object.ellipse ? (width === height ? "circle" : "capsule") : "box";
+      entity.setCollider({
+        shape: shape,
+        points: points || [],
+        isStatic: solid,
+        isTrigger: !!object.properties.trigger,
+      });
+    }
+    return entity;
   }
-   
-  export { Camera, Entity, Rfx, Scene, UI, ReduxEngine, isColliding, parseTextureScript, require}
\ No newline at end of file
+  
+  export { AnimationClip, AnimationController, AssetLoadError, AssetManager, Camera, Collider, Easing, Entity, EventEmitter, InputMap, PhysicsWorld, Rfx, Scene, Tilemap, Tween, TweenGroup, TweenManager, UI, Viewport, VirtualButton, VirtualJoystick, ReduxEngine, isColliding, parseTextureScript, require}
\ No newline at end of file